@@ -0,0 +1,30 @@
+import OPFSBackend from './opfs.js'
+import IDBBackend from './idb.js'
+
+// OPFS where it works, IndexedDB where it's missing or refuses to open, like in some private sessions
+export default class AutoBackend {
+  opfs = new OPFSBackend()
+  idb = new IDBBackend()
+  /** @type {OPFSBackend | IDBBackend | null} */
+  selected = null
+
+  get supported () {
+    return this.opfs.supported || this.idb.supported
+  }
+
+  async getDirectory () {
+    if (this.selected) return this.selected.getDirectory()
+    if (this.opfs.supported) {
+      try {
+        const directory = await this.opfs.getDirectory()
+        this.selected = this.opfs
+        return directory
+      } catch (e) {
+        if (!this.idb.supported) throw e
+      }
+    }
+    // stick with the fallback, so data doesn't end up split between the two
+    this.selected = this.idb
+    return this.idb.getDirectory()
+  }
+}
@@ -0,0 +1,448 @@
+import createWritableFileStream from './writable.js'
+
+const GONE = ['A requested file or directory could not be found at the time an operation was processed.', 'NotFoundError']
+const MISMATCH = ['The path supplied exists, but was not an entry of requested type.', 'TypeMismatchError']
+const NOT_EMPTY = ['The object can not be modified in this way.', 'InvalidModificationError']
+
+// files are split into blocks, so writes don't need to rewrite the whole file
+const BLOCK_SIZE = 64 * 1024
+// writables stage their blocks under a key of their own, outside of the directory tree, until they're closed
+const SWAP_PREFIX = '\u0000swap/'
+// staged blocks of writables which were never closed, like when the page crashed, are removed after a day
+const SWAP_MAX_AGE = 24 * 60 * 60 * 1000
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const done = transaction => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = transaction.onabort = () => reject(transaction.error)
+})
+
+// every entry below `path`, at any depth
+const descendants = path => IDBKeyRange.bound(path + '/', path + '/\uffff')
+
+// every block of the file at `path`
+const blocksOf = path => IDBKeyRange.bound([path, 0], [path, Infinity])
+
+/**
+ * @param {IDBRequest<IDBCursorWithValue | null>} request
+ * @param {(cursor: IDBCursorWithValue) => void} each
+ * @returns {Promise<void>}
+ */
+const iterate = (request, each) => new Promise((resolve, reject) => {
+  request.onsuccess = () => {
+    const cursor = request.result
+    if (!cursor) return resolve()
+    each(cursor)
+    cursor.continue()
+  }
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} swap
+ */
+async function discardSwap (db, swap) {
+  const transaction = db.transaction(['entries', 'blocks'], 'readwrite')
+  transaction.objectStore('blocks').delete(blocksOf(swap))
+  transaction.objectStore('entries').delete(swap)
+  await done(transaction)
+}
+
+/** @param {IDBDatabase} db */
+async function removeStaleSwaps (db) {
+  const transaction = db.transaction(['entries', 'blocks'], 'readwrite')
+  const entries = transaction.objectStore('entries')
+  const completed = done(transaction)
+  const range = IDBKeyRange.bound(SWAP_PREFIX, SWAP_PREFIX + '\uffff')
+  const [keys, values] = await Promise.all([promisify(entries.getAllKeys(range)), promisify(entries.getAll(range))])
+  for (let i = 0; i < keys.length; ++i) {
+    if (Date.now() - values[i].lastModified < SWAP_MAX_AGE) continue
+    entries.delete(keys[i])
+    transaction.objectStore('blocks').delete(blocksOf(/** @type {string} */(keys[i])))
+  }
+  await completed
+}
+
+// FileSystemFileHandle on top of IndexedDB, like with the FSA API writes only replace the file once their writable is closed
+export class IDBFileHandle {
+  kind = 'file'
+
+  /**
+   * @param {Promise<IDBDatabase>} db
+   * @param {string} path
+   * @param {string} name
+   */
+  constructor (db, path, name) {
+    this.db = db
+    this.path = path
+    this.name = name
+  }
+
+  async getFile () {
+    const transaction = (await this.db).transaction(['entries', 'blocks'], 'readonly')
+    const range = IDBKeyRange.bound([this.path, 0], [this.path, Infinity])
+    const [entry, keys, blocks] = await Promise.all([
+      promisify(transaction.objectStore('entries').get(this.path)),
+      promisify(transaction.objectStore('blocks').getAllKeys(range)),
+      promisify(transaction.objectStore('blocks').getAll(range))
+    ])
+    if (!entry) throw new DOMException(...GONE)
+
+    // blocks which were never written are holes of zeroes
+    const parts = []
+    let next = 0
+    for (let i = 0; i < blocks.length; ++i) {
+      const index = /** @type {[string, number]} */(keys[i])[1]
+      if (index > next) parts.push(new Uint8Array((index - next) * BLOCK_SIZE))
+      parts.push(blocks[i])
+      next = index + 1
+    }
+    const blob = new Blob(parts)
+    const size = Math.min(blob.size, entry.size)
+    return new File([blob.slice(0, size), new Uint8Array(entry.size - size)], this.name, { lastModified: entry.lastModified })
+  }
+
+  /** @returns {Promise<{ size: number, lastModified: number }>} */
+  async stat () {
+    const entry = await promisify((await this.db).transaction('entries', 'readonly').objectStore('entries').get(this.path))
+    if (!entry) throw new DOMException(...GONE)
+    return { size: entry.size, lastModified: entry.lastModified }
+  }
+
+  /**
+   * read a byte range, only the blocks it covers are loaded, unlike getFile() which loads the whole file
+   * @param {number} position
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async read (position, length) {
+    const transaction = (await this.db).transaction(['entries', 'blocks'], 'readonly')
+    const entry = await promisify(transaction.objectStore('entries').get(this.path))
+    if (!entry) throw new DOMException(...GONE)
+    const end = Math.min(position + length, entry.size)
+    if (end <= position) return new Uint8Array(0)
+
+    const range = IDBKeyRange.bound([this.path, Math.floor(position / BLOCK_SIZE)], [this.path, Math.floor((end - 1) / BLOCK_SIZE)])
+    const [keys, blocks] = await Promise.all([
+      promisify(transaction.objectStore('blocks').getAllKeys(range)),
+      promisify(transaction.objectStore('blocks').getAll(range))
+    ])
+    // blocks which were never written are holes of zeroes
+    const data = new Uint8Array(end - position)
+    for (let i = 0; i < blocks.length; ++i) {
+      const blockStart = /** @type {[string, number]} */(keys[i])[1] * BLOCK_SIZE
+      const from = Math.max(position, blockStart)
+      const to = Math.min(end, blockStart + BLOCK_SIZE)
+      data.set(blocks[i].subarray(from - blockStart, to - blockStart), from - position)
+    }
+    return data
+  }
+
+  /**
+   * @typedef {{ swap: string, size: number, base: number }} Staged
+   * `base` is how much of the file still shows through, past it only the staged blocks count
+   */
+
+  /**
+   * @param {IDBObjectStore} blocks
+   * @param {Staged} staged
+   * @param {number} index
+   */
+  async _stagedBlock (blocks, staged, index) {
+    const block = await promisify(blocks.get([staged.swap, index]))
+    if (block) return block
+    const blockStart = index * BLOCK_SIZE
+    const base = blockStart < staged.base && await promisify(blocks.get([this.path, index]))
+    if (!base) return new Uint8Array(BLOCK_SIZE)
+    base.fill(0, staged.base - blockStart)
+    return base
+  }
+
+  /**
+   * @param {Staged} staged
+   * @param {Uint8Array} data
+   * @param {number} position
+   */
+  async _stageWrite (staged, data, position) {
+    const transaction = (await this.db).transaction('blocks', 'readwrite')
+    const blocks = transaction.objectStore('blocks')
+    const completed = done(transaction)
+
+    const end = position + data.byteLength
+    for (let index = Math.floor(position / BLOCK_SIZE); index * BLOCK_SIZE < end; ++index) {
+      const blockStart = index * BLOCK_SIZE
+      const from = Math.max(position, blockStart)
+      const to = Math.min(end, blockStart + BLOCK_SIZE)
+      // blocks are always stored whole, so gaps read back as zeroes
+      const block = await this._stagedBlock(blocks, staged, index)
+      block.set(data.subarray(from - position, to - position), from - blockStart)
+      blocks.put(block, [staged.swap, index])
+    }
+    await completed
+    staged.size = Math.max(staged.size, end)
+  }
+
+  /**
+   * @param {Staged} staged
+   * @param {number} size
+   */
+  async _stageTruncate (staged, size) {
+    const transaction = (await this.db).transaction('blocks', 'readwrite')
+    const blocks = transaction.objectStore('blocks')
+    const completed = done(transaction)
+
+    const lastBlock = Math.floor(size / BLOCK_SIZE)
+    blocks.delete(IDBKeyRange.bound([staged.swap, lastBlock + 1], [staged.swap, Infinity]))
+    const block = await promisify(blocks.get([staged.swap, lastBlock]))
+    if (block) {
+      block.fill(0, size - lastBlock * BLOCK_SIZE)
+      blocks.put(block, [staged.swap, lastBlock])
+    }
+    await completed
+    staged.size = size
+    staged.base = Math.min(staged.base, size)
+  }
+
+  // replaces the file's blocks with the staged ones in a single transaction
+  /** @param {Staged} staged */
+  async _applyStaged (staged) {
+    const transaction = (await this.db).transaction(['entries', 'blocks'], 'readwrite')
+    const entries = transaction.objectStore('entries')
+    const blocks = transaction.objectStore('blocks')
+    const completed = done(transaction)
+
+    const entry = await promisify(entries.get(this.path))
+    if (entry) {
+      const kept = Math.ceil(staged.base / BLOCK_SIZE)
+      blocks.delete(IDBKeyRange.bound([this.path, kept], [this.path, Infinity]))
+      if (staged.base % BLOCK_SIZE) {
+        const block = await promisify(blocks.get([this.path, kept - 1]))
+        if (block) {
+          block.fill(0, staged.base - (kept - 1) * BLOCK_SIZE)
+          blocks.put(block, [this.path, kept - 1])
+        }
+      }
+      // one block at a time, the staged data can be as large as the file
+      await iterate(blocks.openCursor(blocksOf(staged.swap)), cursor => {
+        blocks.put(cursor.value, [this.path, /** @type {[string, number]} */(cursor.key)[1]])
+      })
+      entries.put({ ...entry, size: staged.size, lastModified: Date.now() }, this.path)
+    }
+    blocks.delete(blocksOf(staged.swap))
+    entries.delete(staged.swap)
+    await completed
+    if (!entry) throw new DOMException(...GONE)
+  }
+
+  async createWritable ({ keepExistingData = false } = {}) {
+    const { size } = await this.stat()
+    const db = await this.db
+    const swap = SWAP_PREFIX + crypto.randomUUID()
+    const transaction = db.transaction('entries', 'readwrite')
+    transaction.objectStore('entries').put({ kind: 'swap', lastModified: Date.now() }, swap)
+    await done(transaction)
+
+    /** @type {Staged} */
+    const staged = { swap, size: keepExistingData ? size : 0, base: keepExistingData ? size : 0 }
+    return createWritableFileStream({
+      write: (data, position) => this._stageWrite(staged, data, position),
+      truncate: size => this._stageTruncate(staged, size),
+      close: () => this._applyStaged(staged),
+      abort: () => discardSwap(db, swap)
+    }, staged.size)
+  }
+
+  /**
+   * rename, or move to another directory, replacing a file which already has the name
+   * @param {IDBDirectoryHandle | string} destination
+   * @param {string} [name]
+   */
+  async move (destination, name) {
+    if (typeof destination === 'string') [destination, name] = [null, destination]
+    name = String(name ?? this.name)
+    const path = `${destination ? destination.path : this.path.slice(0, this.path.lastIndexOf('/'))}/${name}`
+    const transaction = (await this.db).transaction(['entries', 'blocks'], 'readwrite')
+    const entries = transaction.objectStore('entries')
+    const blocks = transaction.objectStore('blocks')
+    const completed = done(transaction)
+
+    const [entry, target] = await Promise.all([promisify(entries.get(this.path)), promisify(entries.get(path))])
+    if (!entry) throw new DOMException(...GONE)
+    if (target?.kind === 'directory') throw new DOMException(...MISMATCH)
+
+    const range = IDBKeyRange.bound([this.path, 0], [this.path, Infinity])
+    const [keys, values] = await Promise.all([promisify(blocks.getAllKeys(range)), promisify(blocks.getAll(range))])
+    blocks.delete(IDBKeyRange.bound([path, 0], [path, Infinity]))
+    blocks.delete(range)
+    for (let i = 0; i < keys.length; ++i) blocks.put(values[i], [path, /** @type {[string, number]} */(keys[i])[1]])
+    entries.delete(this.path)
+    entries.put(entry, path)
+    await completed
+    this.path = path
+    this.name = name
+  }
+
+  /** @param {IDBFileHandle | IDBDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path === this.path
+  }
+}
+
+// FileSystemDirectoryHandle on top of IndexedDB, entries are keyed by their full path
+export class IDBDirectoryHandle {
+  kind = 'directory'
+
+  /**
+   * @param {Promise<IDBDatabase>} db
+   * @param {string} path
+   * @param {string} name
+   */
+  constructor (db, path, name) {
+    this.db = db
+    this.path = path
+    this.name = name
+  }
+
+  /**
+   * @param {string} name
+   * @param {'file' | 'directory'} kind
+   * @param {boolean} create
+   */
+  async _getEntry (name, kind, create) {
+    const path = `${this.path}/${name}`
+    const transaction = (await this.db).transaction('entries', 'readwrite')
+    const entries = transaction.objectStore('entries')
+    const completed = done(transaction)
+    const entry = await promisify(entries.get(path))
+    if (entry && entry.kind !== kind) throw new DOMException(...MISMATCH)
+    if (!entry) {
+      if (!create) throw new DOMException(...GONE)
+      entries.put(kind === 'file' ? { kind, size: 0, lastModified: Date.now() } : { kind }, path)
+    }
+    await completed
+    return path
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getDirectoryHandle (name, { create = false } = {}) {
+    name = String(name)
+    return new IDBDirectoryHandle(this.db, await this._getEntry(name, 'directory', create), name)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getFileHandle (name, { create = false } = {}) {
+    name = String(name)
+    return new IDBFileHandle(this.db, await this._getEntry(name, 'file', create), name)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ recursive?: boolean }} [opts]
+   */
+  async removeEntry (name, { recursive = false } = {}) {
+    const path = `${this.path}/${name}`
+    const transaction = (await this.db).transaction(['entries', 'blocks'], 'readwrite')
+    const entries = transaction.objectStore('entries')
+    const blocks = transaction.objectStore('blocks')
+    const completed = done(transaction)
+
+    const entry = await promisify(entries.get(path))
+    if (!entry) throw new DOMException(...GONE)
+    if (entry.kind === 'directory' && !recursive && await promisify(entries.count(descendants(path)))) throw new DOMException(...NOT_EMPTY)
+
+    entries.delete(path)
+    entries.delete(descendants(path))
+    blocks.delete(IDBKeyRange.bound([path, 0], [path, Infinity]))
+    blocks.delete(IDBKeyRange.bound([path + '/'], [path + '/\uffff']))
+    await completed
+  }
+
+  async _children () {
+    const transaction = (await this.db).transaction('entries', 'readonly')
+    const entries = transaction.objectStore('entries')
+    const [paths, values] = await Promise.all([
+      promisify(entries.getAllKeys(descendants(this.path))),
+      promisify(entries.getAll(descendants(this.path)))
+    ])
+    const children = []
+    for (let i = 0; i < paths.length; ++i) {
+      const name = /** @type {string} */(paths[i]).slice(this.path.length + 1)
+      if (name.includes('/')) continue
+      children.push(values[i].kind === 'file'
+        ? new IDBFileHandle(this.db, paths[i], name)
+        : new IDBDirectoryHandle(this.db, paths[i], name))
+    }
+    return children
+  }
+
+  async * keys () {
+    for (const handle of await this._children()) yield handle.name
+  }
+
+  async * values () {
+    yield * await this._children()
+  }
+
+  async * entries () {
+    for (const handle of await this._children()) yield [handle.name, handle]
+  }
+
+  [Symbol.asyncIterator] () {
+    return this.entries()
+  }
+
+  /** @param {IDBFileHandle | IDBDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path === this.path
+  }
+}
+
+// stores everything in IndexedDB, for browsers or private sessions without OPFS
+export default class IDBBackend {
+  /** @type {Promise<IDBDatabase> | null} */
+  db = null
+
+  /** @param {{ name?: string }} [opts] name of the database */
+  constructor ({ name = 'fsa-chunk-store' } = {}) {
+    this.name = name
+  }
+
+  get supported () {
+    return !!globalThis.indexedDB
+  }
+
+  async getDirectory () {
+    if (!this.db) {
+      const request = indexedDB.open(this.name, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('entries')
+        request.result.createObjectStore('blocks')
+      }
+      this.db = promisify(request).then(async db => {
+        await removeStaleSwaps(db).catch(() => {})
+        return db
+      })
+    }
+    return new IDBDirectoryHandle(this.db, '', '')
+  }
+}
@@ -0,0 +1,160 @@
+import createWritableFileStream from './writable.js'
+
+const GONE = ['A requested file or directory could not be found at the time an operation was processed.', 'NotFoundError']
+const MISMATCH = ['The path supplied exists, but was not an entry of requested type.', 'TypeMismatchError']
+const NOT_EMPTY = ['The object can not be modified in this way.', 'InvalidModificationError']
+
+// mimics FileSystemFileHandle, data is only committed when a writable is closed, like with the FSA API
+export class MemoryFileHandle {
+  kind = 'file'
+  data = new Uint8Array(0)
+  lastModified = Date.now()
+
+  /**
+   * @param {string} name
+   * @param {MemoryDirectoryHandle} parent
+   */
+  constructor (name, parent) {
+    this.name = name
+    /** @private */
+    this._parent = parent
+  }
+
+  async getFile () {
+    if (this._parent._entries.get(this.name) !== this) throw new DOMException(...GONE)
+    return new File([this.data], this.name, { lastModified: this.lastModified })
+  }
+
+  async createWritable ({ keepExistingData = false } = {}) {
+    let data = keepExistingData ? this.data.slice() : new Uint8Array(0)
+    const resize = size => {
+      const resized = new Uint8Array(size)
+      resized.set(data.subarray(0, size))
+      data = resized
+    }
+    return createWritableFileStream({
+      write: (chunk, position) => {
+        if (position + chunk.byteLength > data.length) resize(position + chunk.byteLength)
+        data.set(chunk, position)
+      },
+      truncate: resize,
+      close: () => {
+        this.data = data
+        this.lastModified = Date.now()
+      },
+      abort: () => {}
+    }, data.length)
+  }
+
+  /**
+   * rename, or move to another directory, replacing a file which already has the name
+   * @param {MemoryDirectoryHandle | string} destination
+   * @param {string} [name]
+   */
+  async move (destination, name) {
+    if (typeof destination === 'string') [destination, name] = [this._parent, destination]
+    name = String(name ?? this.name)
+    if (this._parent._entries.get(this.name) !== this) throw new DOMException(...GONE)
+    if (destination._entries.get(name)?.kind === 'directory') throw new DOMException(...MISMATCH)
+    this._parent._entries.delete(this.name)
+    destination._entries.set(name, this)
+    this._parent = destination
+    this.name = name
+  }
+
+  /** @param {MemoryFileHandle | MemoryDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other === this
+  }
+}
+
+// mimics FileSystemDirectoryHandle
+export class MemoryDirectoryHandle {
+  kind = 'directory'
+  /** @type {Map<string, MemoryFileHandle | MemoryDirectoryHandle>} @private */
+  _entries = new Map()
+
+  /** @param {string} name */
+  constructor (name) {
+    this.name = name
+  }
+
+  /**
+   * @param {string} name
+   * @param {'file' | 'directory'} kind
+   * @param {boolean} create
+   */
+  _getEntry (name, kind, create) {
+    name = String(name)
+    let entry = this._entries.get(name)
+    if (!entry) {
+      if (!create) throw new DOMException(...GONE)
+      entry = kind === 'file' ? new MemoryFileHandle(name, this) : new MemoryDirectoryHandle(name)
+      this._entries.set(name, entry)
+    }
+    if (entry.kind !== kind) throw new DOMException(...MISMATCH)
+    return entry
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getDirectoryHandle (name, { create = false } = {}) {
+    return /** @type {MemoryDirectoryHandle} */(this._getEntry(name, 'directory', create))
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getFileHandle (name, { create = false } = {}) {
+    return /** @type {MemoryFileHandle} */(this._getEntry(name, 'file', create))
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ recursive?: boolean }} [opts]
+   */
+  async removeEntry (name, { recursive = false } = {}) {
+    name = String(name)
+    const entry = this._entries.get(name)
+    if (!entry) throw new DOMException(...GONE)
+    if (entry.kind === 'directory' && !recursive && entry._entries.size) throw new DOMException(...NOT_EMPTY)
+    this._entries.delete(name)
+  }
+
+  async * keys () {
+    yield * [...this._entries.keys()]
+  }
+
+  async * values () {
+    yield * [...this._entries.values()]
+  }
+
+  async * entries () {
+    yield * [...this._entries.entries()]
+  }
+
+  [Symbol.asyncIterator] () {
+    return this.entries()
+  }
+
+  /** @param {MemoryFileHandle | MemoryDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other === this
+  }
+}
+
+// keeps everything in memory, for tests and environments without any persistent storage
+export default class MemoryBackend {
+  root = new MemoryDirectoryHandle('')
+
+  get supported () {
+    return true
+  }
+
+  async getDirectory () {
+    return this.root
+  }
+}
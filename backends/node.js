@@ -0,0 +1,220 @@
+import { copyFile, mkdir, open, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises'
+import fs from 'node:fs'
+import { dirname, join } from 'node:path'
+import createWritableFileStream from './writable.js'
+
+const GONE = ['A requested file or directory could not be found at the time an operation was processed.', 'NotFoundError']
+const MISMATCH = ['The path supplied exists, but was not an entry of requested type.', 'TypeMismatchError']
+const NOT_EMPTY = ['The object can not be modified in this way.', 'InvalidModificationError']
+
+/**
+ * like with the FSA API names are a single path segment, so nothing outside of the root can be reached
+ * @param {string} dir
+ * @param {string} name
+ */
+function childPath (dir, name) {
+  if (name === '' || name === '.' || name === '..' || /[/\\]/.test(name)) throw new TypeError(`Name is not allowed: ${name}`)
+  return join(dir, name)
+}
+
+/**
+ * @param {string} path
+ */
+async function statOrNull (path) {
+  try {
+    return await stat(path)
+  } catch (e) {
+    if (e.code === 'ENOENT') return null
+    throw e
+  }
+}
+
+// FileSystemFileHandle on top of fs/promises, writables go to a swap file which replaces the file on close, like in chromium
+export class NodeFileHandle {
+  kind = 'file'
+
+  /**
+   * @param {string} path
+   * @param {string} name
+   */
+  constructor (path, name) {
+    this.path = path
+    this.name = name
+  }
+
+  async getFile () {
+    const stats = await statOrNull(this.path)
+    if (!stats) throw new DOMException(...GONE)
+    // openAsBlob is lazy, so large files aren't read into memory
+    const blob = fs.openAsBlob ? await fs.openAsBlob(this.path) : new Blob([await readFile(this.path)])
+    return new File([blob], this.name, { lastModified: stats.mtimeMs })
+  }
+
+  async createWritable ({ keepExistingData = false } = {}) {
+    const swapPath = `${this.path}.${crypto.randomUUID().slice(0, 8)}.crswap`
+    if (keepExistingData) {
+      await copyFile(this.path, swapPath)
+    } else {
+      await writeFile(swapPath, '')
+    }
+    const handle = await open(swapPath, 'r+')
+    const { size } = await handle.stat()
+    return createWritableFileStream({
+      write: async (data, position) => {
+        await handle.write(data, 0, data.byteLength, position)
+      },
+      truncate: size => handle.truncate(size),
+      close: async () => {
+        await handle.close()
+        await rename(swapPath, this.path)
+      },
+      abort: async () => {
+        await handle.close()
+        await rm(swapPath, { force: true })
+      }
+    }, size)
+  }
+
+  // like in a dedicated worker, reads and writes go straight to the file
+  async createSyncAccessHandle () {
+    if (!await statOrNull(this.path)) throw new DOMException(...GONE)
+    const fd = fs.openSync(this.path, 'r+')
+    return {
+      /**
+       * @param {Uint8Array} data
+       * @param {{ at?: number }} [opts]
+       */
+      read: (data, { at = 0 } = {}) => fs.readSync(fd, data, 0, data.byteLength, at),
+      /**
+       * @param {Uint8Array} data
+       * @param {{ at?: number }} [opts]
+       */
+      write: (data, { at = 0 } = {}) => fs.writeSync(fd, data, 0, data.byteLength, at),
+      /** @param {number} size */
+      truncate: size => fs.ftruncateSync(fd, size),
+      getSize: () => fs.fstatSync(fd).size,
+      flush: () => fs.fsyncSync(fd),
+      close: () => fs.closeSync(fd)
+    }
+  }
+
+  /**
+   * rename, or move to another directory, replacing a file which already has the name
+   * @param {NodeDirectoryHandle | string} destination
+   * @param {string} [name]
+   */
+  async move (destination, name) {
+    if (typeof destination === 'string') [destination, name] = [null, destination]
+    name = String(name ?? this.name)
+    const path = childPath(destination ? destination.path : dirname(this.path), name)
+    if (!await statOrNull(this.path)) throw new DOMException(...GONE)
+    if ((await statOrNull(path))?.isDirectory()) throw new DOMException(...MISMATCH)
+    await rename(this.path, path)
+    this.path = path
+    this.name = name
+  }
+
+  /** @param {NodeFileHandle | NodeDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path === this.path
+  }
+}
+
+// FileSystemDirectoryHandle on top of fs/promises
+export class NodeDirectoryHandle {
+  kind = 'directory'
+
+  /**
+   * @param {string} path
+   * @param {string} name
+   */
+  constructor (path, name) {
+    this.path = path
+    this.name = name
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getDirectoryHandle (name, { create = false } = {}) {
+    name = String(name)
+    const path = childPath(this.path, name)
+    const stats = await statOrNull(path)
+    if (stats && !stats.isDirectory()) throw new DOMException(...MISMATCH)
+    if (!stats) {
+      if (!create) throw new DOMException(...GONE)
+      await mkdir(path, { recursive: true })
+    }
+    return new NodeDirectoryHandle(path, name)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getFileHandle (name, { create = false } = {}) {
+    name = String(name)
+    const path = childPath(this.path, name)
+    const stats = await statOrNull(path)
+    if (stats && !stats.isFile()) throw new DOMException(...MISMATCH)
+    if (!stats) {
+      if (!create) throw new DOMException(...GONE)
+      await writeFile(path, '', { flag: 'a' })
+    }
+    return new NodeFileHandle(path, name)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ recursive?: boolean }} [opts]
+   */
+  async removeEntry (name, { recursive = false } = {}) {
+    const path = childPath(this.path, String(name))
+    const stats = await statOrNull(path)
+    if (!stats) throw new DOMException(...GONE)
+    if (stats.isDirectory() && !recursive && (await readdir(path)).length) throw new DOMException(...NOT_EMPTY)
+    await rm(path, { recursive: true, force: true })
+  }
+
+  async * keys () {
+    yield * await readdir(this.path)
+  }
+
+  async * values () {
+    for (const entry of await readdir(this.path, { withFileTypes: true })) {
+      const path = join(this.path, entry.name)
+      yield entry.isDirectory() ? new NodeDirectoryHandle(path, entry.name) : new NodeFileHandle(path, entry.name)
+    }
+  }
+
+  async * entries () {
+    for await (const handle of this.values()) yield [handle.name, handle]
+  }
+
+  [Symbol.asyncIterator] () {
+    return this.entries()
+  }
+
+  /** @param {NodeFileHandle | NodeDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path === this.path
+  }
+}
+
+// stores everything in a folder on disk, for node and electron
+export default class NodeBackend {
+  /** @param {string} path root folder, created if it doesn't exist */
+  constructor (path) {
+    this.path = path
+  }
+
+  get supported () {
+    return true
+  }
+
+  async getDirectory () {
+    await mkdir(this.path, { recursive: true })
+    return new NodeDirectoryHandle(this.path, '')
+  }
+}
@@ -0,0 +1,11 @@
+// the Origin Private File System, or any FileSystemDirectoryHandle passed as `rootDir`
+export default class OPFSBackend {
+  get supported () {
+    return !!globalThis.navigator?.storage?.getDirectory
+  }
+
+  /** @returns {Promise<FileSystemDirectoryHandle>} */
+  getDirectory () {
+    return navigator.storage.getDirectory()
+  }
+}
@@ -0,0 +1,444 @@
+import createWritableFileStream from './writable.js'
+
+/**
+ * worker side, serves file system calls from the page with sync access handles
+ * has to be self-contained, it's stringified into the dedicated worker
+ * @param {{ postMessage: (message: any, transfer: Transferable[]) => void, onmessage: any }} port
+ * @param {() => Promise<FileSystemDirectoryHandle>} getRoot
+ */
+export function host (port, getRoot) {
+  // sync access handles lock their file, so only this many are kept open, least recently used first
+  const MAX_OPEN = 128
+  const root = getRoot()
+  /** @type {Map<string, Promise<any>>} */
+  const access = new Map()
+  /** @type {Map<string, number>} */
+  const modified = new Map()
+  // operations which are using an access handle, it isn't closed to make room for others until they're done
+  /** @type {Map<string, number>} */
+  const using = new Map()
+
+  /**
+   * @param {string[]} path
+   * @param {'file' | 'directory'} kind
+   * @param {boolean} [create]
+   */
+  const lookup = async (path, kind, create = false) => {
+    let dir = await root
+    if (!path.length) return dir
+    for (const name of path.slice(0, -1)) dir = await dir.getDirectoryHandle(name)
+    const name = path[path.length - 1]
+    return kind === 'file' ? dir.getFileHandle(name, { create }) : dir.getDirectoryHandle(name, { create })
+  }
+
+  /** @param {string[]} path */
+  const open = path => {
+    const key = path.join('/')
+    let handle = access.get(key)
+    access.delete(key)
+    if (!handle) {
+      handle = lookup(path, 'file').then(async file => {
+        // while the access handle is open the file can't be read through getFile()
+        if (!modified.has(key)) modified.set(key, (await file.getFile()).lastModified)
+        return file.createSyncAccessHandle()
+      })
+      handle.catch(() => access.get(key) === handle && access.delete(key))
+    }
+    access.set(key, handle)
+    for (const [key, handle] of access) {
+      if (access.size <= MAX_OPEN) break
+      if (using.has(key)) continue
+      access.delete(key)
+      handle.then(handle => {
+        handle.flush()
+        handle.close()
+      }).catch(() => {})
+    }
+    return handle
+  }
+
+  /**
+   * @template T
+   * @param {string[]} path
+   * @param {(handle: any) => T} fn
+   * @returns {Promise<T>}
+   */
+  const use = async (path, fn) => {
+    const key = path.join('/')
+    using.set(key, (using.get(key) ?? 0) + 1)
+    try {
+      return fn(await open(path))
+    } finally {
+      const count = using.get(key) - 1
+      if (count) using.set(key, count)
+      else using.delete(key)
+    }
+  }
+
+  // close the access handles of a file, or of everything inside a directory, so it can be moved or removed
+  /** @param {string[]} path */
+  const release = async path => {
+    const prefix = path.join('/')
+    for (const key of modified.keys()) {
+      if (!prefix || key === prefix || key.startsWith(prefix + '/')) modified.delete(key)
+    }
+    for (const [key, handle] of [...access]) {
+      if (prefix && key !== prefix && !key.startsWith(prefix + '/')) continue
+      access.delete(key)
+      try {
+        const opened = await handle
+        opened.flush()
+        opened.close()
+      } catch (e) {}
+    }
+  }
+
+  const ops = {
+    async entry ({ path, kind, create }) {
+      await lookup(path, kind, create)
+    },
+    async list ({ path }) {
+      const entries = []
+      for await (const [name, handle] of (await lookup(path, 'directory')).entries()) entries.push({ name, kind: handle.kind })
+      return entries
+    },
+    async remove ({ path, name, recursive }) {
+      await release([...path, name])
+      await (await lookup(path, 'directory')).removeEntry(name, { recursive })
+    },
+    async stat ({ path }) {
+      const key = path.join('/')
+      if (access.has(key)) return { size: await use(path, handle => handle.getSize()), lastModified: modified.get(key) }
+      const file = await (await lookup(path, 'file')).getFile()
+      return { size: file.size, lastModified: modified.get(key) ?? file.lastModified }
+    },
+    read ({ path, position, length }) {
+      return use(path, handle => {
+        const data = new Uint8Array(Math.max(0, Math.min(length, handle.getSize() - position)))
+        handle.read(data, { at: position })
+        return data
+      })
+    },
+    async write ({ path, position, data }) {
+      await use(path, handle => handle.write(data, { at: position }))
+      modified.set(path.join('/'), Date.now())
+    },
+    async truncate ({ path, size }) {
+      await use(path, handle => handle.truncate(size))
+      modified.set(path.join('/'), Date.now())
+    },
+    async flush ({ path }) {
+      if (access.has(path.join('/'))) await use(path, handle => handle.flush())
+    },
+    async move ({ path, to }) {
+      await release(path)
+      await release(to)
+      const file = await lookup(path, 'file')
+      const dir = await lookup(to.slice(0, -1), 'directory')
+      const name = to[to.length - 1]
+      try {
+        await file.move(dir, name)
+      } catch (e) {
+        // not every browser replaces an existing file
+        await dir.removeEntry(name).catch(() => {})
+        await file.move(dir, name)
+      }
+    },
+    async close () {
+      await release([])
+    }
+  }
+
+  port.onmessage = async ({ data: { id, op, args } }) => {
+    try {
+      const result = await ops[op](args)
+      port.postMessage({ id, result }, result instanceof Uint8Array ? [result.buffer] : [])
+    } catch (e) {
+      port.postMessage({ id, error: { name: e.name, message: e.message } })
+    }
+  }
+}
+
+/**
+ * @typedef {(op: string, args?: object, transfer?: Transferable[]) => Promise<any>} Call
+ */
+
+/**
+ * page side of the protocol, every call gets an id and resolves with the worker's answer to it
+ * @param {{ postMessage: (message: any, transfer: Transferable[]) => void, onmessage: any }} port
+ * @returns {Call}
+ */
+function connect (port) {
+  let id = 0
+  const calls = new Map()
+  let failed = null
+  // nothing that was asked will be answered anymore
+  const fail = error => {
+    failed = error
+    for (const { reject } of calls.values()) reject(error)
+    calls.clear()
+  }
+  port.onmessage = ({ data }) => {
+    const call = calls.get(data.id)
+    if (!call) return
+    calls.delete(data.id)
+    if (data.error) {
+      call.reject(new DOMException(data.error.message, data.error.name))
+    } else {
+      call.resolve(data.result)
+    }
+  }
+  // the answer can't be matched to its call, so none of them can be trusted
+  port.onmessageerror = () => fail(new DOMException('A message from the worker could not be read.', 'DataCloneError'))
+  if ('onerror' in port) {
+    // the worker failed to start or crashed
+    port.onerror = event => {
+      event.preventDefault()
+      fail(new DOMException(event.message || 'The worker failed.', 'InvalidStateError'))
+    }
+  }
+  /** @type {Call & { fail?: (error: Error) => void }} */
+  const call = (op, args = {}, transfer = []) => new Promise((resolve, reject) => {
+    if (failed) return reject(failed)
+    calls.set(++id, { resolve, reject })
+    port.postMessage({ id, op, args }, transfer)
+  })
+  call.fail = fail
+  return call
+}
+
+// File whose data is read through the worker when it's asked for, so files aren't copied into memory whole
+export class WorkerFile {
+  type = ''
+
+  /**
+   * @param {WorkerFileHandle} handle
+   * @param {number} start
+   * @param {number} end
+   * @param {number} lastModified
+   */
+  constructor (handle, start, end, lastModified) {
+    /** @private */
+    this._handle = handle
+    /** @private */
+    this._start = start
+    this.size = end - start
+    this.name = handle.name
+    this.lastModified = lastModified
+  }
+
+  /**
+   * @param {number} [start]
+   * @param {number} [end]
+   */
+  slice (start = 0, end = this.size) {
+    const clamp = position => Math.min(Math.max(position < 0 ? this.size + position : position, 0), this.size)
+    start = clamp(start)
+    return new WorkerFile(this._handle, this._start + start, this._start + Math.max(clamp(end), start), this.lastModified)
+  }
+
+  async bytes () {
+    return this._handle.read(this._start, this.size)
+  }
+
+  async arrayBuffer () {
+    return (await this.bytes()).buffer
+  }
+
+  async text () {
+    return new TextDecoder().decode(await this.bytes())
+  }
+
+  stream () {
+    let position = 0
+    return new ReadableStream({
+      pull: async controller => {
+        if (position >= this.size) return controller.close()
+        const data = await this._handle.read(this._start + position, Math.min(1024 * 1024, this.size - position))
+        position += data.byteLength
+        controller.enqueue(data)
+      }
+    })
+  }
+}
+
+// FileSystemFileHandle whose reads and writes happen in the worker, they are visible as soon as they complete
+export class WorkerFileHandle {
+  kind = 'file'
+
+  /**
+   * @param {Call} call
+   * @param {string[]} path
+   */
+  constructor (call, path) {
+    /** @private */
+    this._call = call
+    this.path = path
+    this.name = path[path.length - 1]
+  }
+
+  /** @returns {Promise<{ size: number, lastModified: number }>} */
+  stat () {
+    return this._call('stat', { path: this.path })
+  }
+
+  /**
+   * read a byte range in place, without a snapshot of the whole file
+   * @param {number} position
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  read (position, length) {
+    return this._call('read', { path: this.path, position, length })
+  }
+
+  async getFile () {
+    const { size, lastModified } = await this.stat()
+    return new WorkerFile(this, 0, size, lastModified)
+  }
+
+  // writes land in the file straight away, the store's journal covers interrupted ones
+  async createWritable ({ keepExistingData = false } = {}) {
+    if (!keepExistingData) await this._call('truncate', { path: this.path, size: 0 })
+    const { size } = await this.stat()
+    return createWritableFileStream({
+      write: (data, position) => {
+        // a copy, as the caller's buffer is transferred to the worker
+        const copy = data.slice()
+        return this._call('write', { path: this.path, position, data: copy }, [copy.buffer])
+      },
+      truncate: size => this._call('truncate', { path: this.path, size }),
+      close: () => this._call('flush', { path: this.path }),
+      // what was written is already in the file, it can't be taken back
+      abort: () => this._call('flush', { path: this.path })
+    }, size)
+  }
+
+  /**
+   * rename, or move to another directory, replacing a file which already has the name
+   * @param {WorkerDirectoryHandle | string} destination
+   * @param {string} [name]
+   */
+  async move (destination, name) {
+    if (typeof destination === 'string') [destination, name] = [null, destination]
+    name = String(name ?? this.name)
+    const path = [...(destination ? destination.path : this.path.slice(0, -1)), name]
+    await this._call('move', { path: this.path, to: path })
+    this.path = path
+    this.name = name
+  }
+
+  /** @param {WorkerFileHandle | WorkerDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path.join('/') === this.path.join('/')
+  }
+}
+
+// FileSystemDirectoryHandle whose calls are answered by the worker
+export class WorkerDirectoryHandle {
+  kind = 'directory'
+
+  /**
+   * @param {Call} call
+   * @param {string[]} path
+   */
+  constructor (call, path) {
+    /** @private */
+    this._call = call
+    this.path = path
+    this.name = path.length ? path[path.length - 1] : ''
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getDirectoryHandle (name, { create = false } = {}) {
+    const path = [...this.path, String(name)]
+    await this._call('entry', { path, kind: 'directory', create })
+    return new WorkerDirectoryHandle(this._call, path)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ create?: boolean }} [opts]
+   */
+  async getFileHandle (name, { create = false } = {}) {
+    const path = [...this.path, String(name)]
+    await this._call('entry', { path, kind: 'file', create })
+    return new WorkerFileHandle(this._call, path)
+  }
+
+  /**
+   * @param {string} name
+   * @param {{ recursive?: boolean }} [opts]
+   */
+  async removeEntry (name, { recursive = false } = {}) {
+    await this._call('remove', { path: this.path, name: String(name), recursive })
+  }
+
+  async * keys () {
+    for (const { name } of await this._call('list', { path: this.path })) yield name
+  }
+
+  async * values () {
+    for (const { name, kind } of await this._call('list', { path: this.path })) {
+      yield kind === 'file' ? new WorkerFileHandle(this._call, [...this.path, name]) : new WorkerDirectoryHandle(this._call, [...this.path, name])
+    }
+  }
+
+  async * entries () {
+    for await (const handle of this.values()) yield [handle.name, handle]
+  }
+
+  [Symbol.asyncIterator] () {
+    return this.entries()
+  }
+
+  /** @param {WorkerFileHandle | WorkerDirectoryHandle} other */
+  async isSameEntry (other) {
+    return other.kind === this.kind && other.path.join('/') === this.path.join('/')
+  }
+}
+
+// the Origin Private File System through a single dedicated worker, which holds sync access handles for every file
+export default class WorkerBackend {
+  /** @type {(Call & { fail?: (error: Error) => void }) | null} */
+  call = null
+
+  /**
+   * @param {{ port?: MessagePort }} [opts] port to a worker which runs `host`, by default a dedicated worker is started
+   */
+  constructor ({ port } = {}) {
+    this.port = port ?? null
+  }
+
+  get supported () {
+    return !!this.port || !!(globalThis.Worker && globalThis.navigator?.storage?.getDirectory)
+  }
+
+  async getDirectory () {
+    if (!this.call) {
+      if (!this.port) {
+        const source = `(${host.toString()})(self, () => navigator.storage.getDirectory())`
+        this.port = /** @type {any} */(new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' }))))
+      }
+      this.call = connect(this.port)
+    }
+    return new WorkerDirectoryHandle(this.call, [])
+  }
+
+  // close every access handle, and stop the worker
+  async terminate () {
+    if (!this.call) return
+    await this.call('close')
+    this.call.fail(new DOMException('The worker was terminated.', 'InvalidStateError'))
+    if ('terminate' in this.port) {
+      /** @type {any} */(this.port).terminate()
+    } else {
+      this.port.close()
+    }
+    this.call = null
+    this.port = null
+  }
+}
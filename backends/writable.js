@@ -0,0 +1,74 @@
+const SYNTAX = m => [`Failed to execute 'write' on 'UnderlyingSinkBase': Invalid params passed. ${m}`, 'SyntaxError']
+
+const textEncoder = new TextEncoder()
+
+/**
+ * @param {string | BufferSource | Blob} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes (data) {
+  if (typeof data === 'string') return textEncoder.encode(data)
+  if (data instanceof Uint8Array) return data
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer())
+  throw new TypeError('The provided value is not of type \'(ArrayBuffer or ArrayBufferView or Blob or USVString or WriteParams)\'')
+}
+
+/**
+ * turns positioned writes into the FileSystemWritableFileStream API, for backends which aren't the FSA API
+ * @param {{ write: (data: Uint8Array, position: number) => Promise<void> | void, truncate: (size: number) => Promise<void> | void, close: () => Promise<void> | void, abort: () => Promise<void> | void }} sink
+ * @param {number} size initial size of the file
+ */
+export default function createWritableFileStream (sink, size) {
+  let position = 0
+  let closed = false
+
+  const stream = {
+    async write (chunk) {
+      if (closed) throw new TypeError('Cannot write to a CLOSED writable stream')
+
+      const params = chunk?.constructor === Object ? chunk : { type: 'write', data: chunk }
+      if (params.type === 'write') {
+        if (!('data' in params)) throw new DOMException(...SYNTAX('write requires a data argument'))
+        const data = await toBytes(params.data)
+        if (Number.isInteger(params.position) && params.position >= 0) position = params.position
+        await sink.write(data, position)
+        position += data.byteLength
+        if (position > size) size = position
+      } else if (params.type === 'seek') {
+        if (!Number.isInteger(params.position) || params.position < 0) throw new DOMException(...SYNTAX('seek requires a position argument'))
+        position = params.position
+      } else if (params.type === 'truncate') {
+        if (!Number.isInteger(params.size) || params.size < 0) throw new DOMException(...SYNTAX('truncate requires a size argument'))
+        await sink.truncate(params.size)
+        size = params.size
+        if (position > size) position = size
+      } else {
+        throw new DOMException(...SYNTAX('unknown write type'))
+      }
+    },
+
+    /** @param {number} position */
+    seek (position) {
+      return stream.write({ type: 'seek', position })
+    },
+
+    /** @param {number} size */
+    truncate (size) {
+      return stream.write({ type: 'truncate', size })
+    },
+
+    async close () {
+      if (closed) throw new TypeError('Cannot close a CLOSED writable stream')
+      closed = true
+      await sink.close()
+    },
+
+    async abort () {
+      closed = true
+      await sink.abort()
+    }
+  }
+  return stream
+}
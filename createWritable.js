@@ -1,6 +1,6 @@
-const INVALID = ['seeking position failed.', 'InvalidStateError']
-const GONE = ['A requested file or directory could not be found at the time an operation was processed.', 'NotFoundError']
-const SYNTAX = m => [`Failed to execute 'write' on 'UnderlyingSinkBase': Invalid params passed. ${m}`, 'SyntaxError']
+import { InvalidArgumentError, InvalidRangeError, InvalidStateError, NotSupportedError } from './errors.js'
+
+const invalidParams = m => new InvalidArgumentError(`Failed to execute 'write' on 'UnderlyingSinkBase': Invalid params passed. ${m}`)
 
 class _FileSystemWritableFileStream extends WritableStream {
   constructor (writer) {
@@ -35,7 +35,7 @@ class _FileSystemWritableFileStream extends WritableStream {
   // The write(data) method steps are:
   write (data) {
     if (this._closed) {
-      return Promise.reject(new TypeError('Cannot write to a CLOSED writable stream'))
+      return Promise.reject(new InvalidStateError('Cannot write to a CLOSED writable stream'))
     }
 
     // 1. Let writer be the result of getting a writer for this.
@@ -80,51 +80,113 @@ if (
   globalThis.FileSystemFileHandle &&
   !globalThis.FileSystemFileHandle.prototype.createWritable
 ) {
+  // parent directory of every handle which was looked up or iterated
   const wm = new WeakMap()
+  // handles which were searched for and found to be outside of the origin private file system
+  const outside = new WeakSet()
+
+  /**
+   * @param {FileSystemDirectoryHandle} dir
+   * @param {FileSystemHandle} handle
+   * @param {string[]} path
+   * @returns {Promise<string[] | null>}
+   */
+  const search = async (dir, handle, path) => {
+    for await (const entry of dir.values()) {
+      if (await entry.isSameEntry(handle)) return [...path, entry.name]
+      if (entry.kind === 'directory') {
+        const found = await search(entry, handle, [...path, entry.name])
+        if (found) return found
+      }
+    }
+    return null
+  }
+
+  /**
+   * path of a file from the OPFS root, including its name, null if it's outside of it
+   * @param {FileSystemDirectoryHandle} root
+   * @param {FileSystemHandle} handle
+   */
+  const locate = async (root, handle) => {
+    const path = await root.resolve(handle).catch(() => null)
+    if (path) return path
+    // resolve() misses some handles, like ones read back from IndexedDB, their recorded parents might lead back to the root
+    const names = [handle.name]
+    for (let parent = wm.get(handle); parent; parent = wm.get(parent)) {
+      const found = await root.resolve(parent).catch(() => null)
+      if (found) return [...found, ...names]
+      names.unshift(parent.name)
+    }
+    // the recorded parents lead to a root which isn't the origin private file system, like a picked directory
+    if (wm.has(handle)) return null
+    // as a last resort, for handles with no recorded parent, the whole origin private file system is searched, once per handle
+    if (outside.has(handle)) return null
+    const found = await search(root, handle, [])
+    if (!found) outside.add(handle)
+    return found
+  }
 
   let workerUrl
 
   // Worker code that should be inlined (can't use any external functions)
+  // one worker is shared by every writable, their sync access handles are keyed by id
   const code = () => {
-    let fileHandle, handle
+    const handles = new Map()
 
-    onmessage = async evt => {
-      const port = evt.ports[0]
-      const cmd = evt.data
-      switch (cmd.type) {
-        case 'open': {
-          const file = cmd.name
+    onmessage = async ({ data: cmd }) => {
+      try {
+        switch (cmd.type) {
+          case 'open': {
+            let dir = await navigator.storage.getDirectory()
 
-          let dir = await navigator.storage.getDirectory()
+            for (const folder of cmd.path) {
+              dir = await dir.getDirectoryHandle(folder)
+            }
 
-          for (const folder of cmd.path) {
-            dir = await dir.getDirectoryHandle(folder)
+            const fileHandle = await dir.getFileHandle(cmd.name)
+            // @ts-ignore
+            handles.set(cmd.handle, await fileHandle.createSyncAccessHandle())
+            break
+          }
+          case 'write': {
+            const handle = handles.get(cmd.handle)
+            handle.write(cmd.data, { at: cmd.position })
+            handle.flush()
+            break
+          }
+          case 'truncate':
+            handles.get(cmd.handle).truncate(cmd.size)
+            break
+          case 'abort':
+          case 'close': {
+            const handle = handles.get(cmd.handle)
+            handles.delete(cmd.handle)
+            handle?.close()
+            break
           }
-
-          fileHandle = await dir.getFileHandle(file)
-          // @ts-ignore
-          handle = await fileHandle.createSyncAccessHandle()
-          break
         }
-        case 'write':
-          handle.write(cmd.data, { at: cmd.position })
-          handle.flush()
-          break
-        case 'truncate':
-          handle.truncate(cmd.size)
-          break
-        case 'abort':
-        case 'close':
-          handle.close()
-          break
+        postMessage({ id: cmd.id })
+      } catch (e) {
+        // errors don't survive postMessage in every browser, they're rebuilt on the other side
+        postMessage({ id: cmd.id, error: { name: e.name, message: e.message } })
       }
-
-      port.postMessage(0)
     }
   }
 
-  globalThis.FileSystemFileHandle.prototype.createWritable = async function (options) {
-    // Safari only support writing data in a worker with sync access handle.
+  let worker = null
+  let writables = 0
+  let nextId = 0
+  let nextHandle = 0
+  const calls = new Map()
+
+  const rejectAll = error => {
+    for (const { reject } of calls.values()) reject(error)
+    calls.clear()
+  }
+
+  const acquire = () => {
+    ++writables
+    if (worker) return
     if (!workerUrl) {
       const stringCode = `(${code.toString()})()`
       const blob = new Blob([stringCode], {
@@ -132,37 +194,79 @@ if (
       })
       workerUrl = URL.createObjectURL(blob)
     }
-    const worker = new Worker(workerUrl, { type: 'module' })
+    worker = new Worker(workerUrl, { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const call = calls.get(data.id)
+      if (!call) return
+      calls.delete(data.id)
+      if (data.error) call.reject(new DOMException(data.error.message, data.error.name))
+      else call.resolve()
+    }
+    // the worker failed to start or crashed, nothing it was asked will be answered
+    worker.onerror = event => {
+      event.preventDefault()
+      rejectAll(new DOMException(event.message || 'The writer worker failed.', 'InvalidStateError'))
+      worker.terminate()
+      worker = null
+    }
+  }
 
+  // the worker is stopped once the last writable is closed, and started again by the next one
+  const release = () => {
+    if (--writables || !worker) return
+    worker.terminate()
+    worker = null
+    rejectAll(new DOMException('The writer worker was stopped.', 'AbortError'))
+  }
+
+  const send = (message, transfer = []) => new Promise((resolve, reject) => {
+    if (!worker) return reject(new DOMException('The writer worker was stopped.', 'InvalidStateError'))
+    const id = ++nextId
+    calls.set(id, { resolve, reject })
+    worker.postMessage({ ...message, id }, transfer)
+  })
+
+  globalThis.FileSystemFileHandle.prototype.createWritable = async function (options) {
+    // Safari only support writing data in a worker with sync access handle.
     let position = 0
     const textEncoder = new TextEncoder()
     let size = await this.getFile().then(file => file.size)
 
-    const send = message => new Promise((resolve, reject) => {
-      const mc = new MessageChannel()
-      mc.port1.onmessage = evt => {
-        if (evt.data instanceof Error) reject(evt.data)
-        else resolve(evt.data)
-        mc.port1.close()
-        mc.port2.close()
-        mc.port1.onmessage = null
-      }
-      worker.postMessage(message, [mc.port2])
-    })
-
     // Safari also don't support transferable file system handles.
     // So we need to pass the path to the worker. This is a bit hacky and ugly.
-    const root = await navigator.storage.getDirectory()
-    const parent = await wm.get(this)
-    const path = await root.resolve(parent)
-
-    // Should likely never happen, but just in case...
-    if (path === null) throw new DOMException(...GONE)
+    const path = await locate(await navigator.storage.getDirectory(), this)
+
+    // sync access handles only exist inside the origin private file system, picked files and folders can't be written
+    if (path === null) throw new NotSupportedError('This browser can only write to files in the origin private file system, this file is outside of it.')
+
+    const handle = ++nextHandle
+    let finished = false
+    // closes the sync access handle, which locks the file, also after a failed write
+    const finish = async type => {
+      if (finished) return
+      finished = true
+      try {
+        await send({ type, handle })
+      } finally {
+        release()
+      }
+    }
+    const fail = async error => {
+      await finish('abort').catch(() => {})
+      throw error
+    }
 
-    await send({ type: 'open', path, name: this.name })
+    try {
+      acquire()
+      await send({ type: 'open', handle, path: path.slice(0, -1), name: path[path.length - 1] })
+    } catch (e) {
+      finished = true
+      release()
+      throw e
+    }
 
     if (options?.keepExistingData === false) {
-      await send({ type: 'truncate', size: 0 })
+      await send({ type: 'truncate', handle, size: 0 }).catch(fail)
       size = 0
     }
 
@@ -178,19 +282,19 @@ if (
 
         if (chunk.type === 'write') {
           if (!('data' in chunk)) {
-            await send({ type: 'close' })
-            throw new DOMException(...SYNTAX('write requires a data argument'))
+            return fail(invalidParams('write requires a data argument'))
           }
 
           chunk.position ??= position
 
+          // buffers of the caller are copied, so they can be transferred without detaching them
           if (typeof chunk.data === 'string') {
             chunk.data = textEncoder.encode(chunk.data)
           } else if (chunk.data instanceof ArrayBuffer) {
-            chunk.data = new Uint8Array(chunk.data)
-          } else if (!(chunk.data instanceof Uint8Array) && ArrayBuffer.isView(chunk.data)) {
-            chunk.data = new Uint8Array(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength)
-          } else if (!(chunk.data instanceof Uint8Array)) {
+            chunk.data = new Uint8Array(chunk.data.slice(0))
+          } else if (ArrayBuffer.isView(chunk.data)) {
+            chunk.data = new Uint8Array(chunk.data.buffer.slice(chunk.data.byteOffset, chunk.data.byteOffset + chunk.data.byteLength))
+          } else {
             const ab = await new Response(chunk.data).arrayBuffer()
             chunk.data = new Uint8Array(ab)
           }
@@ -203,41 +307,57 @@ if (
         } else if (chunk.type === 'seek') {
           if (Number.isInteger(chunk.position) && chunk.position >= 0) {
             if (size < chunk.position) {
-              throw new DOMException(...INVALID)
+              return fail(new InvalidRangeError('seeking position failed.'))
             }
             position = chunk.position
             return // Don't need to enqueue seek...
           } else {
-            await send({ type: 'close' })
-            throw new DOMException(...SYNTAX('seek requires a position argument'))
+            return fail(invalidParams('seek requires a position argument'))
           }
         } else if (chunk.type === 'truncate') {
           if (Number.isInteger(chunk.size) && chunk.size >= 0) {
             size = chunk.size
             if (position > size) { position = size }
           } else {
-            await send({ type: 'close' })
-            throw new DOMException(...SYNTAX('truncate requires a size argument'))
+            return fail(invalidParams('truncate requires a size argument'))
           }
         }
 
-        await send(chunk)
+        const transfer = chunk.type === 'write' ? [chunk.data.buffer] : []
+        await send({ ...chunk, handle }, transfer).catch(fail)
       },
       async close () {
-        await send({ type: 'close' })
-        worker.terminate()
+        await finish('close')
       },
-      async abort (reason) {
-        await send({ type: 'abort', reason })
-        worker.terminate()
+      async abort () {
+        await finish('abort')
       }
     })
   }
 
-  const orig = FileSystemDirectoryHandle.prototype.getFileHandle
-  FileSystemDirectoryHandle.prototype.getFileHandle = async function (...args) {
-    const handle = await orig.call(this, ...args)
+  const proto = FileSystemDirectoryHandle.prototype
+  const { getFileHandle, getDirectoryHandle, values, entries } = proto
+  proto.getFileHandle = async function (...args) {
+    const handle = await getFileHandle.call(this, ...args)
+    wm.set(handle, this)
+    return handle
+  }
+  proto.getDirectoryHandle = async function (...args) {
+    const handle = await getDirectoryHandle.call(this, ...args)
     wm.set(handle, this)
     return handle
   }
+  proto.values = async function * () {
+    for await (const handle of values.call(this)) {
+      wm.set(handle, this)
+      yield handle
+    }
+  }
+  proto.entries = async function * () {
+    for await (const [name, handle] of entries.call(this)) {
+      wm.set(handle, this)
+      yield [name, handle]
+    }
+  }
+  proto[Symbol.asyncIterator] = proto.entries
 }
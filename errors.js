@@ -0,0 +1,196 @@
+// Errors thrown by the store and the createWritable polyfill, match on `code`, messages may change.
+
+export class FSAChunkStoreError extends Error {
+  name = 'FSAChunkStoreError'
+
+  /**
+   * @param {string} message
+   * @param {string} [code]
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, code = 'ERR_FSA_CHUNK_STORE', opts) {
+    super(message, opts)
+    this.code = code
+  }
+}
+
+// the store was closed, or destroyed
+export class ClosedError extends FSAChunkStoreError {
+  name = 'ClosedError'
+
+  /**
+   * @param {string} [message]
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message = 'Storage is closed', opts) {
+    super(message, 'ERR_CLOSED', opts)
+  }
+}
+
+// the store is open in another tab, which holds its lock
+export class ReadOnlyError extends FSAChunkStoreError {
+  name = 'ReadOnlyError'
+
+  /**
+   * @param {string} [message]
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message = 'Storage is read-only, it is open elsewhere', opts) {
+    super(message, 'ERR_READ_ONLY', opts)
+  }
+}
+
+export class ChunkLengthError extends FSAChunkStoreError {
+  name = 'ChunkLengthError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_CHUNK_LENGTH', opts)
+  }
+}
+
+// a chunk, file, store or directory which doesn't exist
+export class NotFoundError extends FSAChunkStoreError {
+  name = 'NotFoundError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_NOT_FOUND', opts)
+  }
+}
+
+// offsets, lengths or positions outside of a chunk or file
+export class InvalidRangeError extends FSAChunkStoreError {
+  name = 'InvalidRangeError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_RANGE', opts)
+  }
+}
+
+export class HashMismatchError extends FSAChunkStoreError {
+  name = 'HashMismatchError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_HASH_MISMATCH', opts)
+  }
+}
+
+// the browser refuses to store more, `usage` and `quota` come from navigator.storage.estimate()
+export class QuotaError extends FSAChunkStoreError {
+  name = 'QuotaError'
+
+  /**
+   * @param {string} [message]
+   * @param {{ usage?: number, quota?: number, needed?: number, cause?: unknown }} [opts]
+   */
+  constructor (message = 'Storage quota exceeded', { usage, quota, needed, cause } = {}) {
+    super(message, 'ERR_QUOTA', { cause })
+    this.usage = usage
+    this.quota = quota
+    this.needed = needed
+  }
+}
+
+export class NotSupportedError extends FSAChunkStoreError {
+  name = 'NotSupportedError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_NOT_SUPPORTED', opts)
+  }
+}
+
+// missing or conflicting options and arguments
+export class InvalidArgumentError extends FSAChunkStoreError {
+  name = 'InvalidArgumentError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_INVALID_ARG', opts)
+  }
+}
+
+// the browser, or the user, didn't allow access to a file or directory
+export class PermissionError extends FSAChunkStoreError {
+  name = 'PermissionError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_PERMISSION', opts)
+  }
+}
+
+// a file or stream was in a state which doesn't allow the operation, like a writable which was already closed
+export class InvalidStateError extends FSAChunkStoreError {
+  name = 'InvalidStateError'
+
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message, opts) {
+    super(message, 'ERR_INVALID_STATE', opts)
+  }
+}
+
+// the operation was cancelled through its `signal`, the signal's reason is kept as `cause`
+export class AbortError extends FSAChunkStoreError {
+  name = 'AbortError'
+
+  /**
+   * @param {string} [message]
+   * @param {{ cause?: unknown }} [opts]
+   */
+  constructor (message = 'The operation was aborted', opts) {
+    super(message, 'ERR_ABORTED', opts)
+  }
+}
+
+const DOM_EXCEPTIONS = {
+  NotFoundError,
+  QuotaExceededError: QuotaError,
+  NotAllowedError: PermissionError,
+  SecurityError: PermissionError,
+  InvalidStateError,
+  InvalidModificationError: InvalidStateError,
+  NoModificationAllowedError: InvalidStateError,
+  TypeMismatchError: InvalidArgumentError,
+  SyntaxError: InvalidArgumentError,
+  NotSupportedError,
+  AbortError
+}
+
+/**
+ * map DOMExceptions thrown by the File System Access API onto the errors above, the original is kept as `cause`
+ * @param {unknown} e
+ * @returns {unknown}
+ */
+export function toStoreError (e) {
+  if (!globalThis.DOMException || !(e instanceof DOMException)) return e
+  const StoreError = DOM_EXCEPTIONS[e.name]
+  return StoreError ? new StoreError(e.message, { cause: e }) : e
+}
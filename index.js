@@ -1,21 +1,265 @@
 import getFileRegex from 'filename-reserved-regex'
 import './createWritable.js'
+import AutoBackend from './backends/auto.js'
+import {
+  AbortError, ChunkLengthError, ClosedError, HashMismatchError, InvalidArgumentError, InvalidRangeError, InvalidStateError,
+  NotFoundError, NotSupportedError, PermissionError, QuotaError, ReadOnlyError, toStoreError
+} from './errors.js'
+
+export { default as AutoBackend } from './backends/auto.js'
+export { default as OPFSBackend } from './backends/opfs.js'
+export { default as IDBBackend } from './backends/idb.js'
+export { default as MemoryBackend } from './backends/memory.js'
+export { default as WorkerBackend } from './backends/worker.js'
+export * from './errors.js'
+
+/**
+ * anything which can hand out a directory that behaves like a FileSystemDirectoryHandle
+ * @typedef {{ supported: boolean, getDirectory: () => Promise<FileSystemDirectoryHandle> }} Backend
+ */
 
 const RESERVED_FILENAME_REGEX = getFileRegex()
+const MANIFEST_NAME = '.fsa-chunk-store.json'
+// suffix of the temporary files which are swapped in place of chunks and the manifest
+const SWAP_SUFFIX = '.fsa-chunk-store-swap'
+// swap files which are complete, and only wait for the file they replace to be removed
+const READY_SUFFIX = '.ready' + SWAP_SUFFIX
+// default commit policy without the chunk cache, where uncommitted chunks are held in memory
+const COMMIT_BYTES = 32 * 1024 * 1024
+const COMMIT_INTERVAL = 1000
+const BUFFER_INTERVAL = 100
+// every open store holds a Web Lock on its name, so other tabs know its chunk cache is in use
+const LOCK_PREFIX = 'fsa-chunk-store:'
+
+// without Web Locks, chunk caches which weren't written for this long are assumed to be left behind
+const GARBAGE_AGE = 24 * 60 * 60 * 1000
+
+// how much is written between checks whether the rest of the store still fits in the quota
+const QUOTA_CHECK_BYTES = 64 * 1024 * 1024
+
+const noop = (_, __) => {}
+const err = (cb = noop, err) => queueMicrotask(() => cb(err))
 
-// this can be bad when multiple instances of this app are running
-if (globalThis.navigator?.storage?.getDirectory) {
-  navigator.storage.getDirectory().then(storageDir => {
-    storageDir.removeEntry('chunks', { recursive: true }).catch(() => {})
+/**
+ * names of the stores which are open in any tab, null if that can't be known
+ * @returns {Promise<Set<string> | null>}
+ */
+async function openStoreNames () {
+  if (!globalThis.navigator?.locks) return null
+  const { held = [], pending = [] } = await navigator.locks.query()
+  return new Set([...held, ...pending].filter(lock => lock.name?.startsWith(LOCK_PREFIX)).map(lock => lock.name.slice(LOCK_PREFIX.length)))
+}
+
+/**
+ * @param {Backend} backend
+ * @returns {Promise<FileSystemDirectoryHandle | null>}
+ */
+async function getChunksDir (backend) {
+  try {
+    return await (await backend.getDirectory()).getDirectoryHandle('chunks')
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * total size and most recent modification of everything in a directory
+ * @param {FileSystemDirectoryHandle} dir
+ * @returns {Promise<{ bytes: number, lastModified: number }>}
+ */
+async function directoryUsage (dir) {
+  let bytes = 0
+  let lastModified = 0
+  for await (const handle of dir.values()) {
+    // handles which can stat, like the worker backend's, aren't read just to learn their size
+    const usage = handle.kind === 'directory'
+      ? await directoryUsage(/** @type {FileSystemDirectoryHandle} */(handle))
+      : await ('stat' in handle ? /** @type {any} */(handle).stat() : /** @type {FileSystemFileHandle} */(handle).getFile())
+        .then(file => ({ bytes: file.size, lastModified: file.lastModified }), e => {
+          // removed since it was listed, like a swap file which was just moved into place
+          if (e?.name === 'NotFoundError') return { bytes: 0, lastModified: 0 }
+          throw e
+        })
+    bytes += usage.bytes
+    lastModified = Math.max(lastModified, usage.lastModified)
+  }
+  return { bytes, lastModified }
+}
+
+/**
+ * remove chunk caches which no open store, in any tab, holds the lock for
+ * without locks, the ones which weren't written for GARBAGE_AGE instead, an open store keeps writing to its cache
+ * @param {Backend} backend
+ * @param {string} own name of the store which collects, its cache is never removed
+ */
+async function collectGarbage (backend, own) {
+  const open = await openStoreNames()
+  const chunksDir = await getChunksDir(backend)
+  if (!chunksDir) return
+  for await (const [name, dir] of chunksDir.entries()) {
+    if (name === own || dir.kind !== 'directory' || open?.has(name)) continue
+    if (!open) {
+      const { bytes, lastModified } = await directoryUsage(/** @type {FileSystemDirectoryHandle} */(dir))
+      // an empty cache may have just been created by a store in another tab, and takes no space anyway
+      if (!bytes || Date.now() - lastModified < GARBAGE_AGE) continue
+    }
+    await chunksDir.removeEntry(name, { recursive: true }).catch(noop)
+  }
+}
+
+/** @returns {Promise<StorageEstimate | null>} */
+const estimate = async () => (await globalThis.navigator?.storage?.estimate?.().catch(noop)) || null
+
+/** @param {AbortSignal} [signal] */
+const throwIfAborted = signal => {
+  if (signal?.aborted) throw new AbortError(undefined, { cause: signal.reason })
+}
+
+/**
+ * reject as soon as the signal aborts, the work itself can't be stopped but its result is dropped
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+const abortable = (promise, signal) => {
+  if (!signal) return promise
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError(undefined, { cause: signal.reason }))
+    if (signal.aborted) return onAbort()
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort))
   })
 }
 
-const noop = (_, __) => {}
-const err = (cb = noop, err) => queueMicrotask(() => cb(new Error(err)))
-export default class FSAChunkStore {
+/**
+ * write a file next to its final name and swap it in, so a crash leaves either the old or the new content
+ * where moving onto an existing name fails, the swap file is marked ready before the file is removed, removeSwapFiles finishes the swap if that's interrupted
+ * handles which can't be moved are written in place, where the FSA API also only replaces the file once the writable is closed
+ * @param {FileSystemDirectoryHandle} dir
+ * @param {FileSystemFileHandle | string} target the file, or the name of one which is only created once its content is complete
+ * @param {string | Uint8Array} data
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<FileSystemFileHandle>} the handle which now points to the file
+ */
+async function writeAtomically (dir, target, data, signal) {
+  const name = typeof target === 'string' ? target : target.name
+  let temp = typeof target === 'string' || 'move' in target
+    ? await dir.getFileHandle(`${name}.${crypto.randomUUID().slice(0, 8)}${SWAP_SUFFIX}`, { create: true })
+    : target
+  if (!('move' in temp) && temp.name !== name) {
+    await dir.removeEntry(temp.name).catch(noop)
+    temp = await dir.getFileHandle(name, { create: true })
+  }
+  const swapped = temp.name !== name
+  const stream = await temp.createWritable({ keepExistingData: false })
+  try {
+    throwIfAborted(signal)
+    await stream.write(data)
+    throwIfAborted(signal)
+  } catch (e) {
+    await stream.abort().catch(noop)
+    if (swapped) await dir.removeEntry(temp.name).catch(noop)
+    throw e
+  }
+  await stream.close()
+  if (swapped) {
+    // @ts-ignore not in every browser yet, some only move onto names which are free
+    await temp.move(name).catch(async () => {
+      // @ts-ignore
+      await temp.move(temp.name.slice(0, -SWAP_SUFFIX.length) + READY_SUFFIX)
+      await dir.removeEntry(name).catch(noop)
+      // @ts-ignore
+      await temp.move(name)
+    })
+  }
+  return temp
+}
+
+/**
+ * swap files which were left behind by interrupted writes
+ * ready ones are complete, they replace their file, the others are removed
+ * @param {FileSystemDirectoryHandle} dir
+ */
+async function removeSwapFiles (dir) {
+  const swaps = []
+  for await (const handle of dir.values()) {
+    if (handle.name.endsWith(SWAP_SUFFIX)) swaps.push(handle)
+  }
+  for (const swap of swaps) {
+    if (swap.name.endsWith(READY_SUFFIX) && 'move' in swap) {
+      // `${name}.${8 random characters}${READY_SUFFIX}`
+      const name = swap.name.slice(0, -READY_SUFFIX.length - 9)
+      await dir.removeEntry(name).catch(noop)
+      // @ts-ignore
+      if (await swap.move(name).then(() => true, () => false)) continue
+    }
+    await dir.removeEntry(swap.name).catch(noop)
+  }
+}
+
+/** @param {string | Uint8Array} hash */
+const toHex = hash => typeof hash === 'string' ? hash.toLowerCase() : Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('')
+
+// growable, MSB-first like the bittorrent wire protocol
+export class BitField {
+  /**
+   * @param {Uint8Array} [buffer]
+   */
+  constructor (buffer = new Uint8Array(0)) {
+    this.buffer = buffer
+  }
+
+  /** @param {number} index */
+  get (index) {
+    const byte = index >> 3
+    return byte < this.buffer.length && !!(this.buffer[byte] & (128 >> (index % 8)))
+  }
+
+  /**
+   * @param {number} index
+   * @param {boolean} [value]
+   */
+  set (index, value = true) {
+    const byte = index >> 3
+    if (byte >= this.buffer.length) {
+      if (!value) return
+      const buffer = new Uint8Array(byte + 1)
+      buffer.set(this.buffer)
+      this.buffer = buffer
+    }
+    if (value) {
+      this.buffer[byte] |= 128 >> (index % 8)
+    } else {
+      this.buffer[byte] &= ~(128 >> (index % 8))
+    }
+  }
+
+  toString () {
+    let str = ''
+    for (const byte of this.buffer) str += String.fromCharCode(byte)
+    return btoa(str)
+  }
+
+  /** @param {string} [str] base64 encoded, as returned by toString */
+  static from (str = '') {
+    return new BitField(Uint8Array.from(atob(str), c => c.charCodeAt(0)))
+  }
+}
+
+export default class FSAChunkStore extends EventTarget {
   name = ''
 
   chunks = [] // individual chunks, required for reads :/
+  cacheSizes = new Map() // index -> byte length of cached chunks in files mode, least recently used first
+  cacheBytes = 0
+  evicting = false
+  pending = new Map() // index -> { length, streams, buffered, buf? } chunks written to file streams which weren't committed yet, buf without the chunk cache or while buffered
+  pendingBytes = 0
+  committedStreams = new WeakSet()
+  openStreams = new Set() // files with an open writable, least recently used first
+  commitTimeout = null
+  bufferTimeout = null
   chunkMap = [] // full files
   directoryMap = {}
   files
@@ -24,42 +268,101 @@ export default class FSAChunkStore {
   storageDirPromise
   chunksDirPromise
 
+  bitfield = new BitField() // chunks which were fully written
+  committed = new BitField() // chunks which are durably stored, this is what the manifest records
+  journal = new BitField() // chunks which are being written to the files, set before they are touched and cleared once they're committed
+  interrupted = [] // chunks whose writes to the files were interrupted in a previous session, their bytes might be partial
+  writing = new Set() // in-flight file writes, for flush
+  waiters = new Map() // index -> callbacks waiting for that chunk to be written
+  manifestPromise = Promise.resolve()
+  pendingManifest = null
+
+  lockPromise // resolves to false if the store is open elsewhere, which makes this instance read-only
+  releaseLock = noop
+  readOnly = false
+
+  quotaPromise // resolves to false if the missing chunks don't fit in the storage quota
+  quotaExceeded = false // a write failed for lack of space, puts fail until space is freed
+  uncheckedBytes = 0 // written since the quota was last checked
+  persistPromise
+
+  permission = null // readwrite permission on rootDir, a picked directory can lose it between sessions
+  permissionPromise // resolves to the permission once it's first known
+  permitted // resolves once the permission is granted for the first time
+  grantPermission = noop
+  permissionWaiters = new Set() // callbacks of reads and writes waiting for the user to grant the permission
+
   closing = false
   closed = false
 
   /**
    * @param {number} chunkLength
-   * @param {{ name?: string, rootDir?: Promise<FileSystemDirectoryHandle>, length?: number, files?: {path: string, length: number, offset?: number, handle?: Promise<FileSystemFileHandle>, blob?: Promise<Blob>, stream?: Promise<FileSystemWritableFileStream> }[] }} [opts]
+   * @param {{ name?: string, rootDir?: Promise<FileSystemDirectoryHandle>, length?: number, files?: {path: string, length: number, offset?: number, skip?: boolean, priority?: number, handle?: Promise<FileSystemFileHandle>, blob?: Promise<Blob>, stream?: Promise<FileSystemWritableFileStream> }[], hashes?: (string | Uint8Array)[], algorithm?: 'SHA-1' | 'SHA-256', backend?: Backend, maxCacheBytes?: number, cache?: boolean, commitBytes?: number, commitInterval?: number, persist?: boolean, maxOpenStreams?: number, bufferBytes?: number, bufferInterval?: number }} [opts]
    */
   constructor (chunkLength, opts = {}) {
+    super()
     this.chunkLength = Number(chunkLength)
 
     if (!this.chunkLength) {
-      throw new Error('First argument must be a chunk length')
+      throw new InvalidArgumentError('First argument must be a chunk length')
     }
 
-    if (!globalThis.navigator?.storage?.getDirectory) {
-      throw new Error('FSA API is not supported')
+    this.backend = opts.backend || new AutoBackend()
+    if (!this.backend.supported) {
+      throw new NotSupportedError('FSA API is not supported')
     }
 
     this.closed = false
 
     this.name = opts.name || crypto.randomUUID()
 
-    this.rootDirPromise = opts.rootDir || navigator.storage.getDirectory()
+    this.lockPromise = this._acquireLock()
+
+    // expected piece digests, hex encoded
+    this.hashes = opts.hashes?.map(toHex)
+    this.algorithm = opts.algorithm || 'SHA-1'
+
+    // only apply to the chunk cache in files mode, without files the chunks are the storage
+    this.cache = opts.cache ?? true
+    this.maxCacheBytes = opts.maxCacheBytes ?? Infinity
+    // commit the file streams once this many bytes are uncommitted, or this many ms after the first uncommitted write
+    this.commitBytes = opts.commitBytes ?? (this.cache ? Infinity : COMMIT_BYTES)
+    this.commitInterval = opts.commitInterval ?? (this.cache ? Infinity : COMMIT_INTERVAL)
+    // every open writable is a swap file, or a worker with the Safari polyfill, so the least recently used ones are committed beyond this
+    this.maxOpenStreams = opts.maxOpenStreams ?? Infinity
+    // merge contiguous writes to a file into one, once this many bytes are buffered or this many ms after the first one
+    this.bufferBytes = opts.bufferBytes ?? 0
+    this.bufferInterval = opts.bufferInterval ?? BUFFER_INTERVAL
+
+    this.rootDirPromise = opts.rootDir || this.backend.getDirectory()
+    this.permitted = new Promise(resolve => { this.grantPermission = resolve })
+    // without the Permissions API, as with OPFS, the backends or Safari, access is simply granted
+    this.permissionPromise = this._updatePermission().catch(() => this._setPermission('granted'))
     this.storageDirPromise = (async () => {
       const rootDir = await this.rootDirPromise
-      return rootDir.getDirectoryHandle(this.name, { create: true })
+      await this.permissionPromise
+      // an existing store can be read with read access, its swap files are left for a session which can write
+      const existing = this.permission !== 'granted' && await this._readPermitted() && await rootDir.getDirectoryHandle(this.name).catch(noop)
+      if (existing) return existing
+      // nothing can be created in a picked directory before the user grants access to it
+      await this.permitted
+      const storageDir = await rootDir.getDirectoryHandle(this.name, { create: true })
+      if (await this.lockPromise) await removeSwapFiles(storageDir)
+      return storageDir
     })()
     // if there are no files the chunks are the storage
     this.chunksDirPromise = this.storageDirPromise
 
     if (opts.files && opts.rootDir) {
       // if files exist, use throwaway, wipeable folder for chunks which are a cache
-      this.chunksDirPromise = this._getChunksDirHandle()
+      this.chunksDirPromise = (async () => {
+        // left behind by a previous session of this store, which might not have been closed
+        if (await this.lockPromise) await this._removeChunksDir()
+        return this._getChunksDirHandle()
+      })()
       this.files = opts.files.map((file, i, files) => {
-        if (file.path == null) throw new Error('File is missing `path` property')
-        if (file.length == null) throw new Error('File is missing `length` property')
+        if (file.path == null) throw new InvalidArgumentError('File is missing `path` property')
+        if (file.length == null) throw new InvalidArgumentError('File is missing `length` property')
         if (file.offset == null) {
           if (i === 0) {
             file.offset = 0
@@ -69,9 +372,12 @@ export default class FSAChunkStore {
           }
         }
 
+        // skipped files aren't created, a priority of 0 means the same
+        file.skip = !!(file.skip ?? file.priority === 0)
+
         // file handles
-        if (file.handle == null) file.handle = this._createFileHandle({ path: file.path })
-        file.blob = this._createBlobReference(file.handle)
+        if (file.handle == null && !file.skip) file.handle = this._createFileHandle({ path: file.path })
+        this._refreshBlob(file)
 
         // file chunkMap
         const fileStart = file.offset
@@ -97,11 +403,11 @@ export default class FSAChunkStore {
       })
 
       // close streams is page is frozen/unloaded, they will re-open if the user returns via BFC
-      window.addEventListener('pagehide', () => this.cleanup())
+      globalThis.addEventListener?.('pagehide', () => this.cleanup())
 
       this.length = this.files.reduce((sum, file) => sum + file.length, 0)
       if (opts.length != null && opts.length !== this.length) {
-        throw new Error('total `files` length is not equal to explicit `length` option')
+        throw new InvalidArgumentError('total `files` length is not equal to explicit `length` option')
       }
     } else {
       this.length = Number(opts.length) || Infinity
@@ -111,6 +417,402 @@ export default class FSAChunkStore {
       this.lastChunkLength = this.length % this.chunkLength || this.chunkLength
       this.lastChunkIndex = Math.ceil(this.length / this.chunkLength) - 1
     }
+
+    // asks the browser not to evict the origin's storage, resolves to whether it agreed
+    this.persistPromise = opts.persist
+      ? Promise.resolve(globalThis.navigator?.storage?.persist?.()).then(Boolean, () => false)
+      : Promise.resolve(false)
+
+    this.quotaPromise = (async () => {
+      if (!await this.lockPromise) return true
+      await this.storageDirPromise
+      return this._checkQuota()
+    })().catch(() => true)
+  }
+
+  /**
+   * re-create a store from the manifest left behind by a previous session
+   * @param {string} name
+   * @param {{ rootDir?: Promise<FileSystemDirectoryHandle>, backend?: Backend }} [opts]
+   */
+  static async open (name, opts = {}) {
+    const rootDirPromise = opts.rootDir || (opts.backend || new AutoBackend()).getDirectory()
+    let manifestFile
+    try {
+      const storageDir = await (await rootDirPromise).getDirectoryHandle(name)
+      manifestFile = await (await storageDir.getFileHandle(MANIFEST_NAME)).getFile()
+    } catch (e) {
+      throw e?.name === 'NotFoundError' ? new NotFoundError(`Store ${name} does not exist`, { cause: e }) : toStoreError(e)
+    }
+    let manifest
+    try {
+      manifest = JSON.parse(await manifestFile.text())
+      if (typeof manifest?.chunkLength !== 'number') throw new TypeError('The manifest has no chunkLength')
+    } catch (e) {
+      throw new InvalidStateError(`Manifest of store ${name} can't be read`, { cause: e })
+    }
+
+    const store = new this(manifest.chunkLength, {
+      ...opts,
+      name,
+      rootDir: rootDirPromise,
+      length: manifest.length ?? undefined,
+      files: manifest.files ?? undefined
+    })
+    store.bitfield = BitField.from(manifest.bitfield)
+    store.committed = BitField.from(manifest.bitfield)
+    // chunks in the journal were never committed, they stay in it until they are written again
+    store.journal = BitField.from(manifest.journal)
+    for (let index = 0; index < store.journal.buffer.length * 8; ++index) {
+      if (!store.journal.get(index)) continue
+      store.interrupted.push(index)
+      store.bitfield.set(index, false)
+      store.committed.set(index, false)
+    }
+    return store
+  }
+
+  /**
+   * every store in the root directory and every chunk cache of the backend, with their disk usage
+   * `open` is null when it can't be known, because the Web Locks API isn't available
+   * @param {{ rootDir?: Promise<FileSystemDirectoryHandle>, backend?: Backend }} [opts]
+   * @returns {Promise<{ name: string, kind: 'store' | 'cache', bytes: number, lastModified: number, open: boolean | null, manifest: boolean }[]>}
+   */
+  static async list (opts = {}) {
+    const backend = opts.backend || new AutoBackend()
+    const rootDir = await (opts.rootDir || backend.getDirectory())
+    const chunksDir = await getChunksDir(backend)
+    const open = await openStoreNames()
+    const entries = []
+
+    for await (const handle of rootDir.values()) {
+      if (handle.kind !== 'directory' || (chunksDir && await chunksDir.isSameEntry(handle))) continue
+      const dir = /** @type {FileSystemDirectoryHandle} */(handle)
+      const manifest = await dir.getFileHandle(MANIFEST_NAME).then(() => true, () => false)
+      entries.push({ name: dir.name, kind: 'store', ...await directoryUsage(dir), open: open && open.has(dir.name), manifest })
+    }
+    if (chunksDir) {
+      for await (const handle of chunksDir.values()) {
+        if (handle.kind !== 'directory') continue
+        const dir = /** @type {FileSystemDirectoryHandle} */(handle)
+        entries.push({ name: dir.name, kind: 'cache', ...await directoryUsage(dir), open: open && open.has(dir.name), manifest: false })
+      }
+    }
+    return entries
+  }
+
+  /**
+   * disk usage of a single store, and of its chunk cache
+   * @param {string} name
+   * @param {{ rootDir?: Promise<FileSystemDirectoryHandle>, backend?: Backend }} [opts]
+   */
+  static async usage (name, opts = {}) {
+    const entries = (await this.list(opts)).filter(entry => entry.name === name)
+    const store = entries.find(entry => entry.kind === 'store')
+    const cache = entries.find(entry => entry.kind === 'cache')
+    if (!store && !cache) throw new NotFoundError(`Store ${name} does not exist`)
+    return {
+      bytes: store?.bytes ?? 0,
+      cacheBytes: cache?.bytes ?? 0,
+      lastModified: Math.max(store?.lastModified ?? 0, cache?.lastModified ?? 0)
+    }
+  }
+
+  /**
+   * remove chunk caches of stores which aren't open, and stores which weren't modified in `olderThan` ms
+   * only directories with a manifest are considered stores, so unrelated folders in a picked `rootDir` are left alone
+   * @param {{ olderThan?: number, keep?: string[], rootDir?: Promise<FileSystemDirectoryHandle>, backend?: Backend }} [opts]
+   * @returns {Promise<{ name: string, kind: 'store' | 'cache', bytes: number }[]>} what was removed
+   */
+  static async prune (opts = {}) {
+    const { olderThan = Infinity, keep = [] } = opts
+    const backend = opts.backend || new AutoBackend()
+    const rootDirPromise = opts.rootDir || backend.getDirectory()
+    const cutoff = Date.now() - olderThan
+    const removed = []
+
+    for (const entry of await this.list({ rootDir: rootDirPromise, backend })) {
+      if (keep.includes(entry.name) || entry.open) continue
+      const old = entry.lastModified < cutoff
+      if (entry.kind === 'store' && !(entry.manifest && old)) continue
+      // without Web Locks, caches are only known to be orphaned once they are old enough
+      if (entry.kind === 'cache' && entry.open === null && !old) continue
+
+      const parent = entry.kind === 'store' ? await rootDirPromise : await getChunksDir(backend)
+      await parent.removeEntry(entry.name, { recursive: true })
+      removed.push({ name: entry.name, kind: entry.kind, bytes: entry.bytes })
+    }
+    return removed
+  }
+
+  /**
+   * @param {string} type
+   * @param {object} detail
+   */
+  _emit (type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }))
+  }
+
+  /**
+   * @param {unknown} error
+   * @param {string} operation what failed, for background work the event is the only place the error goes
+   * @param {number} [index]
+   */
+  _emitError (error, operation, index) {
+    this._emit('error', { error: toStoreError(error), operation, index })
+  }
+
+  /**
+   * the parts of the files which a chunk covers
+   * @param {number} index
+   * @returns {{ path: string, offset: number, length: number }[]}
+   */
+  _filesOf (index) {
+    return (this.chunkMap?.[index] || []).map(({ file, offset, from, to }) => ({ path: file.path, offset, length: to - from }))
+  }
+
+  /**
+   * chunks which cover a skipped file only exist in the chunk cache, so it has to keep them
+   * they are never committed or evicted, even beyond maxCacheBytes, and are missing again in a later session
+   * @param {number} index
+   */
+  _isPinned (index) {
+    return !!this.chunkMap?.[index]?.some(({ file }) => file.skip)
+  }
+
+  // bytes the chunks which weren't written yet will take up, including their copies in the chunk cache
+  _neededBytes () {
+    if (this.length === Infinity) return 0
+    let missing = 0
+    for (let index = 0; index <= this.lastChunkIndex; ++index) {
+      if (!this.bitfield.get(index)) missing += index === this.lastChunkIndex ? this.lastChunkLength : this.chunkLength
+    }
+    return this.files && this.cache ? missing + Math.min(missing, this.maxCacheBytes) : missing
+  }
+
+  /**
+   * fires 'quota' if the chunks which weren't written yet won't fit in what's left of the storage quota
+   * @returns {Promise<boolean>} true if they fit, or if that can't be known
+   */
+  async _checkQuota () {
+    this.uncheckedBytes = 0
+    const { usage = 0, quota } = (await estimate()) || {}
+    const needed = this._neededBytes()
+    if (!quota || needed <= quota - usage) return true
+    this._emit('quota', { usage, quota, needed })
+    return false
+  }
+
+  /**
+   * @param {unknown} cause the browser's QuotaExceededError
+   * @returns {Promise<QuotaError>}
+   */
+  async _quotaExceeded (cause) {
+    this.quotaExceeded = true
+    const { usage, quota } = (await estimate()) || {}
+    const detail = { usage, quota, needed: this._neededBytes() }
+    this._emit('quota', detail)
+    return new QuotaError(undefined, { ...detail, cause })
+  }
+
+  /**
+   * @param {PermissionState} state
+   * @returns {PermissionState}
+   */
+  _setPermission (state) {
+    const previous = this.permission
+    if (state === previous) return state
+    this.permission = state
+    if (state === 'granted') this.grantPermission()
+    // granted from the start is the usual case, it isn't worth an event
+    if (previous || state !== 'granted') this._emit('permission', { state })
+    if (state !== 'prompt') {
+      const error = state === 'denied' ? new PermissionError('Permission to write to the directory was denied') : null
+      for (const waiter of this.permissionWaiters) waiter(error)
+      this.permissionWaiters.clear()
+    }
+    return state
+  }
+
+  /**
+   * @param {boolean} [request] ask the user instead of only checking, which needs a user gesture
+   * @returns {Promise<PermissionState>}
+   */
+  async _updatePermission (request = false) {
+    const rootDir = await this.rootDirPromise
+    if (!('queryPermission' in rootDir)) return this._setPermission('granted')
+    const opts = { mode: 'readwrite' }
+    return this._setPermission(await (request ? rootDir.requestPermission(opts) : rootDir.queryPermission(opts)))
+  }
+
+  // reads only need read access, which can be granted when readwrite isn't
+  async _readPermitted () {
+    await this.permissionPromise
+    if (this.permission === 'granted') return true
+    const rootDir = await this.rootDirPromise
+    return 'queryPermission' in rootDir && await rootDir.queryPermission({ mode: 'read' }).catch(noop) === 'granted'
+  }
+
+  /**
+   * waits while the user hasn't been asked for the permission yet, fails if they denied it
+   * @param {AbortSignal} [signal]
+   * @param {'read' | 'readwrite'} [mode]
+   */
+  async _whenPermitted (signal, mode = 'readwrite') {
+    if (mode === 'read' && await this._readPermitted()) return
+    await this.permissionPromise
+    if (this.permission === 'granted') return
+    // it might have been changed in the browser's settings since
+    await this._updatePermission()
+    if (this.permission === 'denied') throw new PermissionError('Permission to write to the directory was denied')
+    if (this.permission !== 'prompt') return
+    let waiter
+    try {
+      await abortable(new Promise((resolve, reject) => {
+        waiter = err => err ? reject(err) : resolve()
+        this.permissionWaiters.add(waiter)
+      }), signal)
+    } finally {
+      this.permissionWaiters.delete(waiter)
+    }
+  }
+
+  /**
+   * asks the user for readwrite permission on rootDir, the reads and writes waiting for it continue once it's granted
+   * has to be called from a user gesture, like a click, unless the permission is already granted
+   * @returns {Promise<PermissionState>}
+   */
+  async ensurePermission () {
+    try {
+      return await this._updatePermission(true)
+    } catch (e) {
+      throw toStoreError(e)
+    }
+  }
+
+  _serializeManifest () {
+    return JSON.stringify({
+      chunkLength: this.chunkLength,
+      length: this.length === Infinity ? null : this.length,
+      files: this.files?.map(({ path, length, offset, skip }) => ({ path, length, offset, skip: skip || undefined })) ?? null,
+      bitfield: this.committed.toString(),
+      journal: this.journal.toString()
+    })
+  }
+
+  // coalesces concurrent calls into a single write, which always reflects the latest committed chunks
+  _saveManifest () {
+    if (!this.pendingManifest) {
+      const write = this.manifestPromise.then(async () => {
+        this.pendingManifest = null
+        if (!await this.lockPromise) return
+        const storageDir = await this.storageDirPromise
+        // only created by moving the complete swap file into place, an empty manifest would make the store unopenable
+        await writeAtomically(storageDir, MANIFEST_NAME, this._serializeManifest())
+      })
+      this.pendingManifest = write
+      this.manifestPromise = write.catch(noop)
+    }
+    return this.pendingManifest
+  }
+
+  /**
+   * @param {number} index
+   * @param {Uint8Array} buf
+   */
+  async _checkHash (index, buf) {
+    const expected = this.hashes?.[index]
+    if (!expected) return true
+    const digest = await crypto.subtle.digest(this.algorithm, buf)
+    return toHex(new Uint8Array(digest)) === expected
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Promise<'valid' | 'corrupt' | 'missing'>}
+   */
+  async _verify (index) {
+    let status
+    try {
+      // checked here instead, so a mismatch is told apart from a missing chunk
+      const buf = await this._get(index, { verify: false })
+      status = await this._checkHash(index, buf) ? 'valid' : 'corrupt'
+    } catch (e) {
+      if (this.closed) throw e
+      status = 'missing'
+    }
+    this.bitfield.set(index, status === 'valid')
+    // data read from the chunk cache or memory might not be in the files yet
+    this.committed.set(index, status === 'valid' && !this.pending.has(index))
+    if (this.committed.get(index)) this.journal.set(index, false)
+    return status
+  }
+
+  /**
+   * a whole chunk which was read back and doesn't match its hash is missing again
+   * @param {number} index
+   * @param {Uint8Array} buf
+   * @param {number} chunkLength
+   */
+  async _checkRead (index, buf, chunkLength) {
+    if (!this.hashes || buf.byteLength !== chunkLength || await this._checkHash(index, buf)) return
+    this.bitfield.set(index, false)
+    if (this.committed.get(index)) {
+      this.committed.set(index, false)
+      this._saveManifest().catch(e => this._emitError(e, 'manifest'))
+    }
+    throw new HashMismatchError(`Index ${index} does not match its hash, it has to be put again`)
+  }
+
+  /**
+   * re-read a chunk and compare it against its expected hash
+   * @param {number} index
+   */
+  async verify (index) {
+    if (!this.hashes) throw new InvalidStateError('Store has no `hashes` to verify against')
+    const had = this.committed.get(index)
+    const status = await this._verify(index)
+    if (had !== this.committed.get(index)) await this._saveManifest()
+    return status
+  }
+
+  /**
+   * verify every chunk in the store, one at a time
+   * @param {{ onProgress?: (verified: number, total: number) => void, signal?: AbortSignal }} [opts]
+   */
+  async verifyAll ({ onProgress = noop, signal } = {}) {
+    if (!this.hashes) throw new InvalidStateError('Store has no `hashes` to verify against')
+    if (this.length === Infinity) throw new InvalidStateError('Store has no `length` to verify')
+    const total = /** @type {number} */(this.lastChunkIndex) + 1
+    const corrupt = []
+    const missing = []
+    for (let index = 0; index < total; ++index) {
+      // what was verified so far is kept
+      if (signal?.aborted) {
+        await this._saveManifest()
+        throwIfAborted(signal)
+      }
+      const status = await this._verify(index)
+      if (status === 'corrupt') corrupt.push(index)
+      if (status === 'missing') missing.push(index)
+      onProgress(index + 1, total)
+    }
+    await this._saveManifest()
+    return { corrupt, missing }
+  }
+
+  /**
+   * rebuild the bitfield from data that is already on disk, such as a previously downloaded folder
+   * @param {{ onProgress?: (verified: number, total: number) => void, signal?: AbortSignal }} [opts]
+   * @returns {Promise<number[]>} indices of the chunks which are present and valid
+   */
+  async recheck (opts) {
+    await this.verifyAll(opts)
+    const present = []
+    for (let index = 0; index <= /** @type {number} */(this.lastChunkIndex); ++index) {
+      if (this.bitfield.get(index)) present.push(index)
+    }
+    return present
   }
 
   async _getChunkHandle (index) {
@@ -131,7 +833,71 @@ export default class FSAChunkStore {
   }
 
   async _createBlobReference (handle) {
-    return (await handle).getFile()
+    const resolved = await handle
+    // handles which read in place, like the worker backend's, don't need a snapshot of the file
+    return 'read' in resolved ? resolved : resolved.getFile()
+  }
+
+  /**
+   * take a new snapshot of the file, and remember its size and lastModified to notice changes made outside of the store
+   * @param {{ handle: Promise<FileSystemFileHandle>, blob?: Promise<Blob>, known?: Promise<{ size: number, lastModified: number } | undefined> }} file
+   */
+  _refreshBlob (file) {
+    if (!file.handle) return
+    file.blob = this._createBlobReference(file.handle)
+    file.known = file.blob.then(blob => 'stat' in blob ? /** @type {any} */(blob).stat() : blob).catch(noop)
+  }
+
+  /**
+   * the files can be changed or removed outside of the store, reads check that they still match what was last committed
+   * @param {{ stream?: unknown, writes?: number, buffer?: unknown, check?: Promise<boolean> }} file
+   * @returns {Promise<boolean>} false if the file was changed, its chunks are missing now
+   */
+  _checkFile (file) {
+    // while a stream is open the store's own writes change the file
+    if (file.stream || file.writes || file.buffer) return Promise.resolve(true)
+    // concurrent reads share one check, so a change is only handled once
+    file.check ??= this._compareFile(file).finally(() => { file.check = undefined })
+    return file.check
+  }
+
+  /** @param {{ path: string, handle: Promise<FileSystemFileHandle>, closing?: Promise<void>, known?: Promise<{ size: number, lastModified: number } | undefined> }} file */
+  async _compareFile (file) {
+    await file.closing
+    const known = await file.known
+    let current = null
+    try {
+      const handle = await file.handle
+      current = await ('stat' in handle ? /** @type {any} */(handle).stat() : handle.getFile())
+    } catch (e) {
+      if (e?.name !== 'NotFoundError') throw e
+    }
+    if (current && known && current.size === known.size && current.lastModified === known.lastModified) return true
+    this._fileChanged(file, current ? 'modified' : 'removed')
+    return false
+  }
+
+  /**
+   * the chunks a file covers are missing again, its handle is re-created so they can be put again
+   * @param {{ path: string, offset: number, length: number, handle: Promise<FileSystemFileHandle> }} file
+   * @param {'modified' | 'removed'} reason
+   */
+  _fileChanged (file, reason) {
+    const indices = []
+    const firstChunk = Math.floor(file.offset / this.chunkLength)
+    const lastChunk = Math.floor((file.offset + file.length - 1) / this.chunkLength)
+    for (let index = firstChunk; index <= lastChunk; ++index) {
+      if (!this.bitfield.get(index)) continue
+      this.bitfield.set(index, false)
+      this.committed.set(index, false)
+      indices.push(index)
+    }
+    // the file's directories might be gone as well
+    this.directoryMap = {}
+    file.handle = this._createFileHandle({ path: file.path })
+    this._refreshBlob(file)
+    this._emit('filechange', { path: file.path, reason, indices })
+    if (indices.length) this._saveManifest().catch(e => this._emitError(e, 'manifest'))
   }
 
   /**
@@ -152,20 +918,55 @@ export default class FSAChunkStore {
     return this.directoryMap[path]
   }
 
+  async _acquireLock () {
+    if (!globalThis.navigator?.locks) {
+      await collectGarbage(this.backend, this.name).catch(noop)
+      return true
+    }
+    const owner = await new Promise(resolve => {
+      navigator.locks.request(LOCK_PREFIX + this.name, { ifAvailable: true }, lock => {
+        resolve(!!lock)
+        // held until the store is closed
+        if (lock) return new Promise(resolve => { this.releaseLock = resolve })
+      }).catch(() => resolve(true))
+    })
+    this.readOnly = !owner
+    if (owner) await collectGarbage(this.backend, this.name).catch(noop)
+    return owner
+  }
+
+  async _removeChunksDir () {
+    const storageDir = await this.backend.getDirectory()
+    const chunksDir = await storageDir.getDirectoryHandle('chunks', { create: true })
+    await chunksDir.removeEntry(this.name, { recursive: true }).catch(noop)
+  }
+
   async _getChunksDirHandle () {
-    const storageDir = await navigator.storage.getDirectory()
+    const storageDir = await this.backend.getDirectory()
     const chunksDir = await storageDir.getDirectoryHandle('chunks', { create: true })
     return chunksDir.getDirectoryHandle(this.name, { create: true })
   }
 
-  async put (index, buf, cb = noop) {
+  /**
+   * @param {number} index
+   * @param {Uint8Array} buf
+   * @param {{ signal?: AbortSignal } | ((err: Error | null) => void)} [opts] an aborted put leaves no partial chunk or file range behind
+   * @param {(err: Error | null) => void} [cb]
+   */
+  async put (index, buf, opts, cb = noop) {
+    if (typeof opts === 'function') return this.put(index, buf, undefined, opts)
     try {
-      await this._put(index, buf)
+      await this._put(index, buf, opts?.signal)
+      this._emit('put', { index, length: buf.length, files: this._filesOf(index) })
       cb(null)
       return null
     } catch (e) {
-      queueMicrotask(() => cb(e))
-      return e
+      const error = e?.name === 'QuotaExceededError' ? await this._quotaExceeded(e) : toStoreError(e)
+      // the permission might have been revoked, later writes then wait for it again
+      if (error?.code === 'ERR_PERMISSION') await this._updatePermission().catch(noop)
+      if (error?.code !== 'ERR_ABORTED') this._emitError(error, 'put', index)
+      queueMicrotask(() => cb(error))
+      return error
     }
   }
 
@@ -176,51 +977,504 @@ export default class FSAChunkStore {
     return (await handle).createWritable({ keepExistingData: true })
   }
 
+  /**
+   * a new stream copies the file, so it has to wait for the previous one to be committed
+   * @param {{ handle: Promise<FileSystemFileHandle>, stream?: Promise<FileSystemWritableFileStream>, closing?: Promise<void> }} file
+   */
+  _getFileStream (file) {
+    this.openStreams.delete(file)
+    this.openStreams.add(file)
+    if (!file.stream) {
+      this._closeIdleStreams()
+      file.stream = (async () => {
+        await file.closing
+        const stream = await this.getStreamForHandle(file.handle)
+        this._emit('streamopen', { path: file.path })
+        return stream
+      })()
+    }
+    return file.stream
+  }
+
+  /**
+   * commit the file's stream, so its data can be read through a fresh blob
+   * @param {{ handle: Promise<FileSystemFileHandle>, blob?: Promise<Blob>, stream?: Promise<FileSystemWritableFileStream>, closing?: Promise<void> }} file
+   */
+  _closeFileStream (file) {
+    // buffered writes have to reach the stream before it's committed
+    if (file.buffer) return this._flushBuffer(file).then(() => this._closeFileStream(file))
+    const stream = file.stream
+    if (!stream) return file.closing
+    file.stream = undefined
+    this.openStreams.delete(file)
+    file.closing = (async () => {
+      await (await stream).close()
+      this._refreshBlob(file)
+      this.committedStreams.add(stream)
+      this._emit('streamclose', { path: file.path, committed: true })
+    })()
+    return file.closing
+  }
+
+  /**
+   * queue a write to a file, contiguous writes are merged into a single one
+   * @param {{ buffer?: { position: number, length: number, parts: Uint8Array[], entries: { buffered: number }[] } }} file
+   * @param {number} position
+   * @param {Uint8Array} data
+   * @param {{ buffered: number }} entry the pending chunk the data belongs to
+   */
+  _bufferWrite (file, position, data, entry) {
+    let buffer = file.buffer
+    if (buffer && position !== buffer.position + buffer.length) {
+      this._flushInBackground(file)
+      buffer = undefined
+    }
+    if (!buffer) buffer = file.buffer = { position, length: 0, parts: [], entries: [] }
+    buffer.parts.push(data)
+    buffer.length += data.length
+    buffer.entries.push(entry)
+    ++entry.buffered
+    if (buffer.length >= this.bufferBytes) {
+      this._flushInBackground(file)
+    } else if (!this.bufferTimeout) {
+      this.bufferTimeout = setTimeout(() => {
+        this.bufferTimeout = null
+        for (const file of this.files) {
+          if (file.buffer) this._flushInBackground(file)
+        }
+      }, this.bufferInterval)
+    }
+  }
+
+  /**
+   * write what's buffered for a file to its stream in one go
+   * @param {{ path: string, writes?: number, buffer?: { position: number, length: number, parts: Uint8Array[], entries: { buffered: number, streams: Promise<FileSystemWritableFileStream>[], buf?: Uint8Array }[] } }} file
+   */
+  async _flushBuffer (file) {
+    const buffer = file.buffer
+    if (!buffer) return
+    file.buffer = undefined
+    const data = new Uint8Array(buffer.length)
+    let offset = 0
+    for (const part of buffer.parts) {
+      data.set(part, offset)
+      offset += part.length
+    }
+
+    file.writes = (file.writes || 0) + 1
+    const stream = this._getFileStream(file)
+    for (const entry of buffer.entries) entry.streams.push(stream)
+    const write = (async () => {
+      try {
+        await (await stream).write({ type: 'write', position: buffer.position, data })
+      } catch (e) {
+        this._discardFileStream(file, stream)
+        throw e
+      } finally {
+        file.writes--
+      }
+      for (const entry of buffer.entries) {
+        // once all of it reached the files, the chunk cache has the data
+        if (!--entry.buffered && this.cache) entry.buf = undefined
+      }
+    })()
+    this.writing.add(write)
+    try {
+      await write
+    } finally {
+      this.writing.delete(write)
+    }
+  }
+
+  /** @param {{ path: string, buffer?: object }} file */
+  _flushInBackground (file) {
+    this._flushBuffer(file).catch(async e => {
+      this._emitError(e?.name === 'QuotaExceededError' ? await this._quotaExceeded(e) : e, 'buffer')
+    })
+  }
+
+  // commit the least recently used streams beyond maxOpenStreams, streams which are being written to are left open
+  _closeIdleStreams () {
+    let excess = this.openStreams.size - this.maxOpenStreams
+    const closing = []
+    for (const file of this.openStreams) {
+      if (excess <= 0) break
+      if (file.writes || !file.stream) continue
+      closing.push(this._closeFileStream(file))
+      --excess
+    }
+    if (closing.length) {
+      Promise.all(closing).then(() => this._releasePending()).catch(e => this._emitError(e, 'commit'))
+    }
+  }
+
+  /**
+   * a stream which failed a write is errored, it can't be committed anymore so the chunks only it holds are lost
+   * @param {{ path: string, stream?: Promise<FileSystemWritableFileStream> }} file
+   * @param {Promise<FileSystemWritableFileStream>} stream
+   */
+  _discardFileStream (file, stream) {
+    if (file.stream !== stream) return
+    file.stream = undefined
+    this.openStreams.delete(file)
+    stream.then(stream => stream.abort()).catch(noop)
+    this._emit('streamclose', { path: file.path, committed: false })
+    for (const [index, pending] of this.pending) {
+      if (!pending.streams.includes(stream)) continue
+      this.pending.delete(index)
+      this.pendingBytes -= pending.length
+      this.bitfield.set(index, false)
+    }
+  }
+
+  /**
+   * mark chunks as committed once every stream they were written to is, and forget their buffered data
+   * @param {Iterable<number>} [indices]
+   * @returns {number[]} the newly committed chunks
+   */
+  _releasePending (indices = this.pending.keys()) {
+    const released = []
+    let bytes = 0
+    for (const index of [...indices]) {
+      const pending = this.pending.get(index)
+      if (pending && !pending.buffered && pending.streams.every(stream => this.committedStreams.has(stream))) {
+        this.pending.delete(index)
+        this.pendingBytes -= pending.length
+        this.journal.set(index, false)
+        // the parts of skipped files are only in the cache, which doesn't outlast the session
+        if (this._isPinned(index)) continue
+        this.committed.set(index)
+        released.push(index)
+        bytes += pending.length
+      }
+    }
+    if (released.length) {
+      this._emit('commit', { indices: released, bytes })
+      this._saveManifest().catch(e => this._emitError(e, 'manifest'))
+    }
+    return released
+  }
+
+  // close the streams which aren't being written to, this makes their data durable and readable from the files
+  async _commit () {
+    clearTimeout(this.commitTimeout)
+    this.commitTimeout = null
+    if (this.closing) return []
+    await Promise.all(this.files.filter(file => !file.writes).map(file => this._closeFileStream(file)))
+    return this._releasePending()
+  }
+
+  _scheduleCommit () {
+    if (this.pendingBytes >= this.commitBytes) return this._commit()
+    if (!this.commitTimeout && Number.isFinite(this.commitInterval)) {
+      this.commitTimeout = setTimeout(() => this._commit().catch(e => this._emitError(e, 'commit')), this.commitInterval)
+    }
+  }
+
+  /**
+   * commit everything which was put so far to the files
+   * @returns {Promise<number[]>} the newly committed chunks
+   */
+  async flush () {
+    if (this.closing) throw new ClosedError()
+    if (!this.files) return []
+    await Promise.allSettled(this.writing)
+    const committed = await this._commit()
+    // they only survive a reload once the manifest records them
+    await this.manifestPromise
+    return committed
+  }
+
+  /**
+   * stop or resume writing a file, puts keep the parts of a skipped file in the chunk cache instead
+   * un-skipping it creates the file and writes the cached chunks it covers to it
+   * @param {string} path
+   * @param {boolean} skip
+   * @returns {Promise<number[]>} the cached chunks which couldn't be written to the file, they are missing now
+   */
+  async setSkipped (path, skip) {
+    if (this.closing) throw new ClosedError()
+    const file = this.files?.find(file => file.path === path)
+    if (!file) throw new NotFoundError(`File ${path} does not exist`)
+    if (!!file.skip === !!skip) return []
+    file.skip = !!skip
+    // a reopened store has to know which files are skipped
+    await this._saveManifest()
+    if (skip) {
+      // what was already written to it stays there
+      await this._closeFileStream(file)
+      return []
+    }
+
+    if (!file.handle) {
+      file.handle = this._createFileHandle({ path: file.path })
+      this._refreshBlob(file)
+    }
+    const firstChunk = Math.floor(file.offset / this.chunkLength)
+    const lastChunk = Math.floor((file.offset + file.length - 1) / this.chunkLength)
+    const failed = []
+    for (let index = firstChunk; index <= lastChunk; ++index) {
+      if (!this.bitfield.get(index) || !this.chunks[index]) continue
+      try {
+        await this._put(index, await this._get(index, {}))
+      } catch (e) {
+        // the file might hold part of it, so the chunk has to be put again
+        this.bitfield.set(index, false)
+        this.committed.set(index, false)
+        await this._removeCachedChunk(index, await this.chunksDirPromise)
+        this._emitError(e, 'put', index)
+        failed.push(index)
+      }
+    }
+    if (failed.length) this._saveManifest().catch(e => this._emitError(e, 'manifest'))
+    return failed
+  }
+
+  /**
+   * @param {number} index
+   * @param {number} [size] byte length, when the chunk was just written
+   */
+  _touchCache (index, size = this.cacheSizes.get(index)) {
+    if (size == null) return
+    this.cacheBytes += size - (this.cacheSizes.get(index) ?? 0)
+    this.cacheSizes.delete(index)
+    this.cacheSizes.set(index, size)
+  }
+
+  /**
+   * @param {number} index
+   * @param {FileSystemDirectoryHandle} chunksDir
+   * @returns {Promise<number>} the bytes which were freed
+   */
+  async _removeCachedChunk (index, chunksDir) {
+    const length = this.cacheSizes.get(index) ?? 0
+    this.chunks[index] = undefined
+    this.cacheBytes -= length
+    this.cacheSizes.delete(index)
+    await chunksDir.removeEntry(String(index)).catch(noop)
+    return length
+  }
+
+  // drop the least recently used chunks from the cache, once the files hold their data
+  async _evictChunks () {
+    if (this.evicting || this.closing || this.cacheBytes <= this.maxCacheBytes) return
+    this.evicting = true
+    try {
+      const victims = []
+      let cacheBytes = this.cacheBytes
+      for (const [index, size] of this.cacheSizes) {
+        if (cacheBytes <= this.maxCacheBytes) break
+        // the chunk might be getting written to the files right now, or be the only copy of a skipped file's data
+        if (this.chunkMap[index].some(({ file }) => file.writes || file.skip)) continue
+        victims.push(index)
+        cacheBytes -= size
+      }
+
+      const files = new Set(victims.flatMap(index => this.chunkMap[index].map(({ file }) => file)))
+      await Promise.all([...files].map(file => this._closeFileStream(file)))
+      this._releasePending(victims)
+
+      const chunksDir = await this.chunksDirPromise
+      for (const index of victims) {
+        // re-opened streams mean the chunk was written again and isn't flushed yet
+        if (this.closing || this.chunkMap[index].some(({ file }) => file.stream)) continue
+        const length = await this._removeCachedChunk(index, chunksDir)
+        this._emit('evict', { index, length })
+      }
+    } finally {
+      this.evicting = false
+    }
+  }
+
   // wrapped in prep for callback drop
-  async _put (index, buf) {
-    if (this.closed) throw new Error('Storage is closed')
+  /**
+   * @param {number} index
+   * @param {Uint8Array} buf
+   * @param {AbortSignal} [signal]
+   */
+  async _put (index, buf, signal) {
+    if (this.closed) throw new ClosedError()
+    if (!await this.lockPromise) throw new ReadOnlyError()
 
     const isLastChunk = index === this.lastChunkIndex
-    if (isLastChunk && buf.length !== this.lastChunkLength) throw new Error(`Last chunk length must be ${this.lastChunkLength}`)
-    if (!isLastChunk && buf.length !== this.chunkLength) throw new Error(`Chunk length must be ${this.chunkLength}`)
+    if (isLastChunk && buf.length !== this.lastChunkLength) throw new ChunkLengthError(`Last chunk length must be ${this.lastChunkLength}`)
+    if (!isLastChunk && buf.length !== this.chunkLength) throw new ChunkLengthError(`Chunk length must be ${this.chunkLength}`)
+    if (!await this._checkHash(index, buf)) throw new HashMismatchError(`Index ${index} does not match its hash`)
+    // a chunk which can't be written anyway fails straight away, instead of once the user grants access
+    await this._whenPermitted(signal)
 
-    const chunkWrite = (async () => {
+    if (this.quotaExceeded) {
+      const { usage, quota } = (await estimate()) || {}
+      // without an estimate there is no telling whether space was freed, so the write is just tried again
+      if (quota && quota - usage < buf.length) throw new QuotaError(undefined, { usage, quota, needed: this._neededBytes() })
+      this.quotaExceeded = false
+    }
+
+    throwIfAborted(signal)
+    const chunkWrite = (!this.files || this.cache || this._isPinned(index)) && (async () => {
       const chunk = await this._getChunkHandle(index)
-      const stream = await chunk.createWritable({ keepExistingData: false })
-      await stream.write(buf)
-      await stream.close()
+      this.chunks[index] = await writeAtomically(await this.chunksDirPromise, chunk, buf, signal)
     })()
 
-    if (!this.files) return chunkWrite
+    if (this.files) {
+      const targets = this.chunkMap[index]
+      if (!targets) throw new NotFoundError('No files matching the request range')
+      if (signal) {
+        // the files are shared with other chunks, so their writes can't be undone, they only start once nothing can abort anymore
+        if (chunkWrite) await chunkWrite
+        if (chunkWrite && signal.aborted) {
+          // the cached copy would be served by get, although the put failed
+          await this._removeCachedChunk(index, await this.chunksDirPromise)
+          // for a skipped file the cache held the only copy, which was replaced
+          if (this._isPinned(index)) this.bitfield.set(index, false)
+        }
+        throwIfAborted(signal)
+      }
+      this.journal.set(index)
+      if (this.committed.get(index)) {
+        // overwriting a committed chunk, the manifest must stop claiming it before its bytes change
+        this.committed.set(index, false)
+        await this._saveManifest()
+      }
+      // buffered chunks keep their data in memory until it reaches the files, so reads don't have to wait for it
+      const entry = { length: buf.length, streams: [], buffered: 0, buf: this.cache && !this.bufferBytes ? undefined : buf }
+      const promises = targets.filter(({ file }) => !file.skip).map(async ({ file, offset, from, to }) => {
+        if (this.bufferBytes) return this._bufferWrite(file, offset, buf.slice(from, to), entry)
+        file.writes = (file.writes || 0) + 1
+        const stream = this._getFileStream(file)
+        try {
+          entry.streams.push(stream)
+          await (await stream).write({ type: 'write', position: offset, data: buf.slice(from, to) })
+        } catch (e) {
+          this._discardFileStream(file, stream)
+          throw e
+        } finally {
+          file.writes--
+        }
+      })
+      if (chunkWrite && !signal) promises.push(chunkWrite)
+      const writes = Promise.all(promises)
+      this.writing.add(writes)
+      try {
+        await writes
+      } finally {
+        this.writing.delete(writes)
+      }
+
+      this.committed.set(index, false)
+      this.pendingBytes += buf.length - (this.pending.get(index)?.length ?? 0)
+      this.pending.set(index, entry)
+      // a commit might have happened while writing
+      this._releasePending([index])
+      this.bitfield.set(index)
+      if (this.cache) {
+        this._touchCache(index, buf.length)
+        await this._evictChunks()
+      }
+      await this._scheduleCommit()
+    } else {
+      await chunkWrite
+      this.bitfield.set(index)
+      this.committed.set(index)
+    }
+
+    const waiters = this.waiters.get(index)
+    if (waiters) {
+      this.waiters.delete(index)
+      for (const waiter of waiters) waiter(null)
+    }
+    if (!this.files) await this._saveManifest()
+
+    this.uncheckedBytes += buf.length
+    if (this.uncheckedBytes >= QUOTA_CHECK_BYTES) this._checkQuota().catch(e => this._emitError(e, 'quota'))
+  }
 
-    const targets = this.chunkMap[index]
-    if (!targets) throw new Error('No files matching the request range')
-    const promises = targets.map(async ({ file, offset, from, to }) => {
-      if (!file.stream) {
-        file.stream = this.getStreamForHandle(file.handle)
+  /**
+   * resolves once the chunk has been written
+   * @param {number} index
+   * @param {{ signal?: AbortSignal }} [opts]
+   * @returns {Promise<void>}
+   */
+  whenAvailable (index, { signal } = {}) {
+    if (this.closing) return Promise.reject(new ClosedError())
+    if (this.bitfield.get(index)) return Promise.resolve()
+    if (signal?.aborted) return Promise.reject(new AbortError(undefined, { cause: signal.reason }))
+    return new Promise((resolve, reject) => {
+      if (!this.waiters.has(index)) this.waiters.set(index, [])
+      const waiters = this.waiters.get(index)
+      const onAbort = () => {
+        waiters.splice(waiters.indexOf(waiter), 1)
+        if (!waiters.length) this.waiters.delete(index)
+        reject(new AbortError(undefined, { cause: signal.reason }))
+      }
+      const waiter = err => {
+        signal?.removeEventListener('abort', onAbort)
+        err ? reject(err) : resolve()
       }
-      await (await file.stream).write({ type: 'write', position: offset, data: buf.slice(from, to) })
+      waiters.push(waiter)
+      signal?.addEventListener('abort', onAbort, { once: true })
     })
-    promises.push(chunkWrite)
-    await Promise.all(promises)
+  }
+
+  /**
+   * stream a byte range of one of the files, the range is inclusive like in node's fs.createReadStream
+   * @param {number | string} fileIndexOrPath
+   * @param {{ start?: number, end?: number, wait?: boolean, signal?: AbortSignal }} [opts] wait for chunks which haven't been written yet, instead of failing
+   * @returns {ReadableStream<Uint8Array>}
+   */
+  createReadStream (fileIndexOrPath, { start = 0, end, wait = false, signal } = {}) {
+    if (this.closing) throw new ClosedError()
+    if (!this.files) throw new InvalidStateError('Store has no `files` to read from')
+
+    const file = typeof fileIndexOrPath === 'number'
+      ? this.files[fileIndexOrPath]
+      : this.files.find(file => file.path === fileIndexOrPath)
+    if (!file) throw new NotFoundError(`File ${fileIndexOrPath} does not exist`)
+
+    if (end == null || end > file.length - 1) end = file.length - 1
+    if (start < 0 || start > end + 1) throw new InvalidRangeError('Invalid start and/or end')
+
+    let position = file.offset + start
+    const rangeEnd = file.offset + end + 1
+
+    return new ReadableStream({
+      pull: async controller => {
+        if (position >= rangeEnd) return controller.close()
+
+        const index = Math.floor(position / this.chunkLength)
+        const offset = position - index * this.chunkLength
+        const length = Math.min(this.chunkLength - offset, rangeEnd - position)
+
+        if (wait) await this.whenAvailable(index, { signal })
+        controller.enqueue(await this._get(index, { offset, length, signal }).catch(e => { throw toStoreError(e) }))
+        position += length
+      }
+    }, { highWaterMark: 0 })
   }
 
   async get (index, opts, cb = noop) {
+    if (typeof opts === 'function') return this.get(index, undefined, opts)
     if (opts == null) opts = {}
     try {
       const data = await this._get(index, opts)
+      this._emit('get', { index, offset: opts.offset || 0, length: data.length, files: this._filesOf(index) })
       cb(null, data)
       return data
     } catch (e) {
-      cb(e)
-      return e
+      const error = toStoreError(e)
+      if (error?.code !== 'ERR_ABORTED') this._emitError(error, 'get', index)
+      cb(error)
+      return error
     }
   }
 
   // wrapped in prep for callback drop
   async _get (index, opts) {
     if (typeof opts === 'function') return this.get(index, undefined, opts)
-    if (this.closed) throw new Error('Storage is closed')
+    if (this.closed) throw new ClosedError()
+    const { signal } = opts
+    throwIfAborted(signal)
+    await this._whenPermitted(signal, 'read')
 
     const isLastChunk = index === this.lastChunkIndex
     const chunkLength = isLastChunk ? /** @type {number} */(this.lastChunkLength) : this.chunkLength
@@ -229,30 +1483,47 @@ export default class FSAChunkStore {
     const rangeTo = opts.length ? rangeFrom + opts.length : chunkLength
     const len = opts.length || chunkLength - rangeFrom
 
-    if (rangeFrom < 0 || rangeFrom < 0 || rangeTo > chunkLength) throw new Error('Invalid offset and/or length')
+    if (rangeFrom < 0 || rangeFrom < 0 || rangeTo > chunkLength) throw new InvalidRangeError('Invalid offset and/or length')
 
     if (rangeFrom === rangeTo) return new Uint8Array(0)
 
+    const pending = this.pending.get(index)
+    if (pending?.buf) return pending.buf.slice(rangeFrom, rangeTo)
+
     if (!this.files || this.chunks[index]) {
-      const chunk = await this._getChunkHandle(index)
-      let file = await chunk.getFile()
-      if (rangeFrom !== 0 || len !== chunkLength) {
-        file = file.slice(rangeFrom, len + rangeFrom)
-      }
-      const buf = await file.arrayBuffer()
+      try {
+        const chunk = await this._getChunkHandle(index)
+        let buf
+        if ('read' in chunk) {
+          buf = await abortable(/** @type {any} */(chunk).read(rangeFrom, len), signal)
+        } else {
+          let file = await chunk.getFile()
+          if (rangeFrom !== 0 || len !== chunkLength) {
+            file = file.slice(rangeFrom, len + rangeFrom)
+          }
+          buf = new Uint8Array(await abortable(file.arrayBuffer(), signal))
+        }
 
-      if (buf.byteLength === 0) throw new Error(`Index ${index} does not exist`)
-      return new Uint8Array(buf)
+        if (buf.byteLength === 0) throw new NotFoundError(`Index ${index} does not exist`)
+        // without files the chunks are the storage, and can be edited like files
+        if (!this.files && opts.verify !== false) await this._checkRead(index, buf, chunkLength)
+        this._touchCache(index)
+        return buf
+      } catch (e) {
+        // evicted while reading, by now the files hold the data
+        if (!this.files || this.chunks[index]) throw e
+      }
     }
 
     // if chunk was GC'ed
     let targets = this.chunkMap[index]
-    if (!targets) throw new Error('No files matching the request range')
+    if (!targets) throw new NotFoundError('No files matching the request range')
     if (opts) {
       targets = targets.filter(({ from, to }) => to > rangeFrom && from < rangeTo)
-      if (targets.length === 0) throw new Error('No files matching the request range')
+      if (targets.length === 0) throw new NotFoundError('No files matching the request range')
     }
 
+    let changed = false
     const promises = targets.map(async ({ from, to, offset, file }) => {
       if (opts) {
         if (to > rangeTo) to = rangeTo
@@ -261,61 +1532,126 @@ export default class FSAChunkStore {
           from = rangeFrom
         }
       }
+      if (!file.handle) throw new NotFoundError(`Index ${index} is missing, ${file.path} is skipped`)
+      if (!await this._checkFile(file)) changed = true
       const blob = await file.blob
-      return blob.slice(offset, offset + to - from)
+      const part = 'read' in blob ? await blob.read(offset, to - from) : blob.slice(offset, offset + to - from)
+      // shorter than what was put, so it was truncated while the store wasn't looking, like between sessions
+      if (!changed && this.bitfield.get(index) && ('size' in part ? part.size : part.byteLength) < to - from) {
+        this._fileChanged(file, 'modified')
+        changed = true
+      }
+      return part
     })
-    const values = await Promise.all(promises)
-    const buf = values.length === 1 ? await values[0].arrayBuffer() : await new Blob(values).arrayBuffer()
-    if (buf.byteLength === 0) throw new Error(`Index ${index} does not exist`)
-    return new Uint8Array(buf)
+    const values = await abortable(Promise.all(promises), signal)
+    if (changed) throw new NotFoundError(`Index ${index} is missing, its files were changed outside of the store`)
+    const buf = values.length === 1 && values[0] instanceof Uint8Array
+      ? values[0]
+      : new Uint8Array(await abortable(new Blob(values).arrayBuffer(), signal))
+    if (buf.byteLength === 0) throw new NotFoundError(`Index ${index} does not exist`)
+    // files can be edited without changing their size, whole chunks read back from them are checked against their hash
+    if (opts.verify !== false) await this._checkRead(index, buf, chunkLength)
+    return buf
   }
 
   async close (cb = noop) {
-    if (this.closing) return err(cb, 'Storage is closed')
+    if (this.closing) return err(cb, new ClosedError())
 
     this.closing = true
+    clearTimeout(this.commitTimeout)
+    clearTimeout(this.bufferTimeout)
+    for (const waiters of this.waiters.values()) {
+      for (const waiter of waiters) waiter(new ClosedError())
+    }
+    this.waiters.clear()
+    for (const waiter of this.permissionWaiters) waiter(new ClosedError())
+    this.permissionWaiters.clear()
+    // cleanup still needs the chunk map, to tell which chunks cover skipped files
+    if (this.files) await this.cleanup()
+    await this.manifestPromise
     this.chunkMap = undefined
     this.directoryMap = undefined
-    if (this.files) await this.cleanup()
+    this.releaseLock()
     this.closed = true
     queueMicrotask(() => cb(null))
   }
 
-  async cleanup () {
+  /**
+   * commit the file streams and clear the chunk cache
+   * @param {{ signal?: AbortSignal }} [opts] aborting stops clearing the cache, the streams are committed regardless
+   */
+  async cleanup ({ signal } = {}) {
     if (this.closed || !this.files) return
-    const streams = []
-    for (const file of this.files) {
-      if (file.stream) {
-        streams.push(file.stream.then(stream => stream.close()))
-        file.stream = undefined
-      }
+    this._emit('cleanupstart', {})
+    try {
+      await this._cleanup(signal)
+    } finally {
+      this._emit('cleanupend', {})
     }
+  }
+
+  /** @param {AbortSignal} [signal] */
+  async _cleanup (signal) {
+    const streams = this.files.map(file => this._closeFileStream(file))
     const clearChunks = (async () => {
       const storageDir = await this.chunksDirPromise
-      this.chunks = []
+      // the cache belongs to the instance which holds the lock
+      if (this.readOnly) return
+      // chunks of skipped files are kept, the cache is their only copy
+      const kept = new Set(this.chunks.flatMap((chunk, index) => chunk && this._isPinned(index) ? [index] : []))
+      this.chunks = this.chunks.map((chunk, index) => kept.has(index) ? chunk : undefined)
+      for (const index of this.cacheSizes.keys()) {
+        if (kept.has(index)) continue
+        this.cacheBytes -= this.cacheSizes.get(index)
+        this.cacheSizes.delete(index)
+      }
       // .remove() doesnt exist on firefox or safari
       for await (const key of storageDir.keys()) {
+        throwIfAborted(signal)
+        if (kept.has(Number(key))) continue
         await storageDir.removeEntry(key, { recursive: true })
       }
       this.chunksDirPromise = this._getChunksDirHandle()
       await this.chunksDirPromise
     })()
     await Promise.all(streams)
+    this._releasePending()
     for (const file of this.files) {
-      file.blob = this._createBlobReference(file.handle)
+      this._refreshBlob(file)
     }
     await clearChunks
   }
 
-  async destroy (cb = noop) {
+  /**
+   * close the store and remove all of its data
+   * @param {{ signal?: AbortSignal } | ((err: Error | null) => void)} [opts] aborting stops before the next directory is removed, the store stays closed
+   * @param {(err: Error | null) => void} [cb]
+   */
+  async destroy (opts, cb = noop) {
+    if (typeof opts === 'function') return this.destroy(undefined, opts)
+    const signal = opts?.signal
+    if (signal?.aborted) return cb(new AbortError(undefined, { cause: signal.reason }))
     this.close(async (err) => {
       if (err) return cb(err)
+      if (!await this.lockPromise) return cb(new ReadOnlyError())
       try {
+        // the directories can't be removed, or even created, without the permission
+        if (await this.permissionPromise !== 'granted' && await this._updatePermission() !== 'granted') {
+          throw new PermissionError('Permission to write to the directory is not granted')
+        }
         const rootDir = await this.rootDirPromise
+        // the directories might still be getting created
+        await this.storageDirPromise
+        if (this.files) {
+          await this.chunksDirPromise
+          throwIfAborted(signal)
+          await this._removeChunksDir()
+        }
+        throwIfAborted(signal)
         // .remove() doesnt exist on firefox or safari
         await rootDir.removeEntry(this.name, { recursive: true })
       } catch (err) {
-        return cb(err)
+        return cb(toStoreError(err))
       }
       cb(null)
     })
@@ -0,0 +1,255 @@
+// Serves files of a FSAChunkStore to HTTP requests, including Range requests, from inside a service worker.
+// The store lives on the page, so the worker asks the page for the data over a MessageChannel:
+// worker -> page: { type, name, path, range, method } + port, page -> worker: { status, headers }
+// then for every 'pull' from the worker the page answers with a Uint8Array, null once done or { error, code }
+
+import { FSAChunkStoreError } from './errors.js'
+
+const TYPE = 'fsa-chunk-store'
+const CLIENT_TIMEOUT = 3000
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  wav: 'audio/wav'
+}
+
+/** @type {Map<string, { store: import('./index.js').default, wait: boolean }>} */
+const stores = new Map()
+let listening = false
+
+/**
+ * page side, make the files of a store available to the service worker
+ * @param {import('./index.js').default} store
+ * @param {{ wait?: boolean }} [opts] wait for missing chunks, instead of answering with the bytes which are available, or 416
+ * @returns {() => void} stops serving the store
+ */
+export function serve (store, { wait = true } = {}) {
+  stores.set(store.name, { store, wait })
+  // without a service worker, requests can still be answered through handleRequest
+  if (!listening && globalThis.navigator?.serviceWorker) {
+    listening = true
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data?.type === TYPE) handleRequest(event.data, event.ports[0])
+    })
+    navigator.serviceWorker.startMessages()
+  }
+  return () => stores.delete(store.name)
+}
+
+/**
+ * @param {string | null} header
+ * @param {number} size
+ * @returns {{ start: number, end: number, partial: boolean } | null} null if the range isn't satisfiable
+ */
+function parseRange (header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? '')
+  if (!match || (!match[1] && !match[2])) return { start: 0, end: size - 1, partial: false }
+  let start, end
+  if (!match[1]) {
+    // suffix range, last n bytes
+    start = Math.max(size - Number(match[2]), 0)
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+  }
+  if (start > end) return null
+  return { start, end, partial: true }
+}
+
+/**
+ * last byte of the file, starting from `start`, which is backed by written chunks
+ * @param {import('./index.js').default} store
+ * @param {{ offset: number }} file
+ * @param {number} start
+ * @param {number} end
+ */
+function availableEnd (store, file, start, end) {
+  const firstChunk = Math.floor((file.offset + start) / store.chunkLength)
+  const lastChunk = Math.floor((file.offset + end) / store.chunkLength)
+  for (let index = firstChunk; index <= lastChunk; ++index) {
+    if (!store.bitfield.get(index)) return Math.min(index * store.chunkLength - file.offset - 1, end)
+  }
+  return end
+}
+
+/**
+ * page side, answer a single request from the service worker, exposed for custom transports
+ * @param {{ name: string, path: string, range: string | null, method?: string }} request
+ * @param {MessagePort} port
+ */
+export function handleRequest ({ name, path, range, method = 'GET' }, port) {
+  const { store, wait } = stores.get(name) ?? {}
+  const file = store?.files?.find(file => file.path === path)
+  if (!file) {
+    port.postMessage({ status: 404, headers: {} })
+    return port.close()
+  }
+
+  const size = file.length
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Content-Type': MIME_TYPES[path.slice(path.lastIndexOf('.') + 1).toLowerCase()] || 'application/octet-stream'
+  }
+  const requested = parseRange(range, size)
+  const end = requested && (wait ? requested.end : availableEnd(store, file, requested.start, requested.end))
+  if (!requested || (size && end < requested.start)) {
+    port.postMessage({ status: 416, headers: { ...headers, 'Content-Range': `bytes */${size}` } })
+    return port.close()
+  }
+
+  const { start } = requested
+  // a truncated response still has to tell the client which bytes it got
+  const partial = requested.partial || end < requested.end
+  headers['Content-Length'] = String(end - start + 1)
+  if (partial) headers['Content-Range'] = `bytes ${start}-${end}/${size}`
+  if (method === 'HEAD') {
+    port.postMessage({ status: partial ? 206 : 200, headers })
+    return port.close()
+  }
+
+  // the store can be closing, that has to be known before the status is sent
+  let reader
+  try {
+    reader = store.createReadStream(file.path, { start, end, wait }).getReader()
+  } catch (e) {
+    port.postMessage({ status: e.code === 'ERR_NOT_FOUND' ? 404 : 500, headers: {}, error: e.message, code: e.code })
+    return port.close()
+  }
+  port.postMessage({ status: partial ? 206 : 200, headers })
+
+  port.onmessage = async ({ data }) => {
+    if (data === 'cancel') {
+      reader.cancel().catch(() => {})
+      return port.close()
+    }
+    try {
+      const { done, value } = await reader.read()
+      if (done) {
+        port.postMessage(null)
+        port.close()
+      } else {
+        port.postMessage(value, [value.buffer])
+      }
+    } catch (e) {
+      port.postMessage({ error: e.message, code: e.code })
+      port.close()
+    }
+  }
+}
+
+/**
+ * @param {MessagePort} port
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamFromPort (port) {
+  let resolve
+  port.onmessage = ({ data }) => resolve(data)
+  return new ReadableStream({
+    async pull (controller) {
+      const data = await new Promise(_resolve => {
+        resolve = _resolve
+        port.postMessage('pull')
+      })
+      if (data === null) {
+        port.close()
+        controller.close()
+      } else if (data.error) {
+        port.close()
+        controller.error(new FSAChunkStoreError(data.error, data.code))
+      } else {
+        controller.enqueue(data)
+      }
+    },
+    cancel () {
+      port.postMessage('cancel')
+      port.close()
+    }
+  }, { highWaterMark: 0 })
+}
+
+/**
+ * @param {Client} client
+ * @param {{ type: string, name: string, path: string, range: string | null, method: string }} message
+ * @returns {Promise<{ port: MessagePort, head: { status: number, headers: Record<string, string> } } | null>}
+ */
+function request (client, message) {
+  return new Promise(resolve => {
+    const { port1, port2 } = new MessageChannel()
+    // the client might not serve any stores at all
+    const timeout = setTimeout(() => {
+      port1.close()
+      resolve(null)
+    }, CLIENT_TIMEOUT)
+    port1.onmessage = ({ data }) => {
+      clearTimeout(timeout)
+      resolve({ port: port1, head: data })
+    }
+    client.postMessage(message, [port2])
+  })
+}
+
+/**
+ * @param {FetchEvent} event
+ * @param {string} name
+ * @param {string} path
+ */
+async function respond (event, name, path) {
+  const message = { type: TYPE, name, path, range: event.request.headers.get('Range'), method: event.request.method }
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+  // every page is asked at once, so the ones which don't serve the store, and only time out, don't hold up the response
+  const answer = await firstAnswer(clients.map(client => request(client, message)))
+  if (!answer) return new Response(null, { status: 404 })
+  const { port, head } = answer
+  const body = head.status >= 400 || event.request.method === 'HEAD' ? null : streamFromPort(port)
+  if (!body) port.close()
+  return new Response(body, { status: head.status, headers: head.headers })
+}
+
+/**
+ * the first answer from a page which serves the store, the others are told to stop
+ * @param {Promise<{ port: MessagePort, head: { status: number, headers: Record<string, string> } } | null>[]} requests
+ */
+function firstAnswer (requests) {
+  return new Promise(resolve => {
+    let pending = requests.length
+    let answered = false
+    if (!pending) return resolve(null)
+    for (const request of requests) {
+      request.then(answer => {
+        --pending
+        if (answer && answer.head.status !== 404 && !answered) {
+          answered = true
+          return resolve(answer)
+        }
+        if (answer) {
+          answer.port.postMessage('cancel')
+          answer.port.close()
+        }
+        if (!pending && !answered) resolve(null)
+      })
+    }
+  })
+}
+
+/**
+ * service worker side, call from the fetch event listener, URLs look like `${prefix}${store.name}/${file.path}`
+ * @param {FetchEvent} event
+ * @param {{ prefix?: string }} [opts]
+ * @returns {boolean} if the request was handled
+ */
+export function handleFetch (event, { prefix = '/fsa-chunk-store/' } = {}) {
+  const url = new URL(event.request.url)
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(prefix)) return false
+
+  const [name, ...path] = url.pathname.slice(prefix.length).split('/').map(decodeURIComponent)
+  event.respondWith(respond(event, name, path.join('/')))
+  return true
+}
@@ -1,17 +1,92 @@
-import { test } from 'vitest'
-import FSAChunkStore from './index.js'
+import { afterAll, describe, test, vi } from 'vitest'
+import FSAChunkStore, { FSAChunkStoreError, IDBBackend, MemoryBackend, OPFSBackend, QuotaError, WorkerBackend, toStoreError } from './index.js'
 import parallel from 'run-parallel'
+import { serve, handleRequest } from './sw.js'
 
-abstractTests(FSAChunkStore)
-abstractTests(function (len, opts = {}) { return new FSAChunkStore(len, { ...opts, rootDir: navigator.storage.getDirectory() }) })
-abstractTests(function (len, opts = {}) {
-  return new FSAChunkStore(len, {
-    rootDir: navigator.storage.getDirectory(),
-    files: [
-      { path: 'tmp/multi1', length: 500 },
-      { path: 'tmp/multi2', length: 500 }
-    ],
-    ...opts
+const backends = globalThis.navigator?.storage?.getDirectory
+  ? { opfs: new OPFSBackend(), idb: new IDBBackend({ name: 'fsa-chunk-store-test' }), memory: new MemoryBackend(), worker: new WorkerBackend() }
+  : { idb: await createFakeIDBBackend(), memory: new MemoryBackend(), node: await createNodeBackend(), worker: await createNodeWorkerBackend() }
+
+async function createFakeIDBBackend () {
+  await import('fake-indexeddb/auto')
+  return new IDBBackend({ name: 'fsa-chunk-store-test' })
+}
+
+async function createNodeBackend () {
+  const { default: NodeBackend } = await import('./backends/node.js')
+  const { mkdtemp, rm } = await import('node:fs/promises')
+  const { tmpdir } = await import('node:os')
+  const { join } = await import('node:path')
+  const path = await mkdtemp(join(tmpdir(), 'fsa-chunk-store-'))
+  afterAll(() => rm(path, { recursive: true, force: true }))
+  return new NodeBackend(path)
+}
+
+// the worker side runs in process, on top of the sync access handles of the node backend
+async function createNodeWorkerBackend () {
+  const { host } = await import('./backends/worker.js')
+  const { port1, port2 } = new MessageChannel()
+  const node = await createNodeBackend()
+  host(port2, () => node.getDirectory())
+  const backend = new WorkerBackend({ port: port1 })
+  afterAll(async () => {
+    await backend.terminate()
+    port2.close()
+  })
+  return backend
+}
+
+for (const [name, backend] of Object.entries(backends)) {
+  describe(name, () => {
+    abstractTests(function (len, opts = {}) { return new FSAChunkStore(len, { ...opts, backend }) }, backend)
+    abstractTests(function (len, opts = {}) { return new FSAChunkStore(len, { ...opts, backend, rootDir: backend.getDirectory() }) }, backend)
+    abstractTests(function (len, opts = {}) {
+      return new FSAChunkStore(len, {
+        backend,
+        rootDir: backend.getDirectory(),
+        files: [
+          { path: 'tmp/multi1', length: 500 },
+          { path: 'tmp/multi2', length: 500 }
+        ],
+        ...opts
+      })
+    }, backend)
+    abstractTests(function (len, opts = {}) {
+      return new FSAChunkStore(len, {
+        backend,
+        rootDir: backend.getDirectory(),
+        files: [
+          { path: 'tmp/direct1', length: 500 },
+          { path: 'tmp/direct2', length: 500 }
+        ],
+        cache: false,
+        ...opts
+      })
+    }, backend)
+    backendTests(backend)
+  })
+}
+
+describe.runIf(backends.node)('node backend', () => {
+  test('names: path segments which would leave the directory are rejected', async t => {
+    const backend = backends.node
+    const rootDir = await backend.getDirectory()
+    const dir = await rootDir.getDirectoryHandle('names', { create: true })
+    for (const name of ['', '.', '..', '../escaped', 'a/../../escaped', '/tmp/escaped', 'a\\b']) {
+      await t.expect.soft(dir.getFileHandle(name, { create: true })).rejects.toThrow(TypeError)
+      await t.expect.soft(dir.getDirectoryHandle(name, { create: true })).rejects.toThrow(TypeError)
+      await t.expect.soft(dir.removeEntry(name, { recursive: true })).rejects.toThrow(TypeError)
+    }
+    const file = await dir.getFileHandle('file', { create: true })
+    await t.expect.soft(file.move('../escaped')).rejects.toThrow(TypeError)
+
+    // a torrent can name its files anything
+    const store = new FSAChunkStore(10, { name: 'names', files: [{ path: '../escaped', length: 10 }], rootDir: backend.getDirectory(), backend })
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeInstanceOf(TypeError)
+    const names = []
+    for await (const name of rootDir.keys()) names.push(name)
+    t.expect.soft(names).not.toContain('escaped')
+    await new Promise(resolve => store.destroy(resolve))
   })
 })
 
@@ -25,7 +100,7 @@ const textEncoder = new TextEncoder()
 
 const textToArr = (str) => new Uint8Array(textEncoder.encode(str))
 
-function abstractTests (Store) {
+function abstractTests (Store, backend) {
   test('basic put, then get', t => new Promise(done => {
     const store = new Store(10)
     store.put(0, textToArr('0123456789'), function (err) {
@@ -354,9 +429,9 @@ function abstractTests (Store) {
       store.get(0, async function (err, chunk) {
         t.expect.soft(err).toBeFalsy()
         t.expect.soft(chunk).toEqual(textToArr('0123456789'))
-        const rootDir = await navigator.storage.getDirectory()
+        const rootDir = await backend.getDirectory()
         const folder = await rootDir.getDirectoryHandle('test')
-        t.expect.soft(folder instanceof FileSystemDirectoryHandle).toBeTruthy()
+        t.expect.soft(folder.kind).toBe('directory')
         store.destroy(async function (err) {
           t.expect.soft(err).toBeFalsy()
           let notfound = null
@@ -373,82 +448,98 @@ function abstractTests (Store) {
   }))
 }
 
-test('multiple files', t => new Promise(done => {
-  const store = new FSAChunkStore(10, {
-    files: [
-      { path: 'tmp/file1', length: 5 },
-      { path: 'tmp/file2', length: 5 },
-      { path: 'tmp2/file3', length: 8 },
-      { path: 'tmp2/file4', length: 8 }
-    ],
-    rootDir: navigator.storage.getDirectory()
-  })
-  store.put(0, textToArr('0123456789'), function (err) {
-    t.expect.soft(err).toBeFalsy()
-    store.get(0, function (err, chunk) {
+const sha1 = async (str) => new Uint8Array(await crypto.subtle.digest('SHA-1', textToArr(str)))
+
+const readText = async (stream) => {
+  const textDecoder = new TextDecoder()
+  let text = ''
+  const reader = stream.getReader()
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    text += textDecoder.decode(result.value, { stream: true })
+  }
+  return text
+}
+
+function backendTests (backend) {
+  test('multiple files', t => new Promise(done => {
+    const store = new FSAChunkStore(10, {
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 5 },
+        { path: 'tmp2/file3', length: 8 },
+        { path: 'tmp2/file4', length: 8 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    store.put(0, textToArr('0123456789'), function (err) {
       t.expect.soft(err).toBeFalsy()
-      t.expect.soft(chunk).toEqual(textToArr('0123456789'))
-      store.put(1, textToArr('abcdefghij'), function (err) {
+      store.get(0, function (err, chunk) {
         t.expect.soft(err).toBeFalsy()
-        store.get(1, function (err, chunk) {
+        t.expect.soft(chunk).toEqual(textToArr('0123456789'))
+        store.put(1, textToArr('abcdefghij'), function (err) {
           t.expect.soft(err).toBeFalsy()
-          t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
-          store.put(2, textToArr('klmnop'), function (err) {
+          store.get(1, function (err, chunk) {
             t.expect.soft(err).toBeFalsy()
-            store.get(2, function (err, chunk) {
+            t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
+            store.put(2, textToArr('klmnop'), function (err) {
               t.expect.soft(err).toBeFalsy()
-              t.expect.soft(chunk).toEqual(textToArr('klmnop'))
-              store.destroy(function (err) {
+              store.get(2, function (err, chunk) {
                 t.expect.soft(err).toBeFalsy()
-                done()
+                t.expect.soft(chunk).toEqual(textToArr('klmnop'))
+                store.destroy(function (err) {
+                  t.expect.soft(err).toBeFalsy()
+                  done()
+                })
               })
             })
           })
         })
       })
     })
-  })
-}))
+  }))
 
-test('cleanup: multiple files', t => new Promise(done => {
-  const store = new FSAChunkStore(10, {
-    files: [
-      { path: 'tmp/file1', length: 5 },
-      { path: 'tmp/file2', length: 5 },
-      { path: 'tmp2/file3', length: 8 },
-      { path: 'tmp2/file4', length: 8 }
-    ],
-    rootDir: navigator.storage.getDirectory()
-  })
-  store.put(0, textToArr('0123456789'), function (err) {
-    t.expect.soft(err).toBeFalsy()
-    store.get(0, function (err, chunk) {
+  test('cleanup: multiple files', t => new Promise(done => {
+    const store = new FSAChunkStore(10, {
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 5 },
+        { path: 'tmp2/file3', length: 8 },
+        { path: 'tmp2/file4', length: 8 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    store.put(0, textToArr('0123456789'), function (err) {
       t.expect.soft(err).toBeFalsy()
-      t.expect.soft(chunk).toEqual(textToArr('0123456789'))
-      store.put(1, textToArr('abcdefghij'), function (err) {
+      store.get(0, function (err, chunk) {
         t.expect.soft(err).toBeFalsy()
-        store.get(1, async function (err, chunk) {
+        t.expect.soft(chunk).toEqual(textToArr('0123456789'))
+        store.put(1, textToArr('abcdefghij'), function (err) {
           t.expect.soft(err).toBeFalsy()
-          t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
-          await store.cleanup()
-          store.get(0, function (err, chunk) {
+          store.get(1, async function (err, chunk) {
             t.expect.soft(err).toBeFalsy()
-            t.expect.soft(chunk).toEqual(textToArr('0123456789'))
-            store.get(1, function (err, chunk) {
+            t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
+            await store.cleanup()
+            store.get(0, function (err, chunk) {
               t.expect.soft(err).toBeFalsy()
-              t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
-              store.put(2, textToArr('klmnop'), function (err) {
+              t.expect.soft(chunk).toEqual(textToArr('0123456789'))
+              store.get(1, function (err, chunk) {
                 t.expect.soft(err).toBeFalsy()
-                store.get(2, async function (err, chunk) {
+                t.expect.soft(chunk).toEqual(textToArr('abcdefghij'))
+                store.put(2, textToArr('klmnop'), function (err) {
                   t.expect.soft(err).toBeFalsy()
-                  t.expect.soft(chunk).toEqual(textToArr('klmnop'))
-                  await store.cleanup()
-                  store.get(2, function (err, chunk) {
+                  store.get(2, async function (err, chunk) {
                     t.expect.soft(err).toBeFalsy()
                     t.expect.soft(chunk).toEqual(textToArr('klmnop'))
-                    store.destroy(function (err) {
+                    await store.cleanup()
+                    store.get(2, function (err, chunk) {
                       t.expect.soft(err).toBeFalsy()
-                      done()
+                      t.expect.soft(chunk).toEqual(textToArr('klmnop'))
+                      store.destroy(function (err) {
+                        t.expect.soft(err).toBeFalsy()
+                        done()
+                      })
                     })
                   })
                 })
@@ -458,5 +549,859 @@ test('cleanup: multiple files', t => new Promise(done => {
         })
       })
     })
+  }))
+
+  test('maxCacheBytes: evicts least recently used chunks once the files hold them', async t => {
+    const store = new FSAChunkStore(10, {
+      files: [
+        { path: 'tmp/file1', length: 15 },
+        { path: 'tmp/file2', length: 25 }
+      ],
+      maxCacheBytes: 20,
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    for (let i = 0; i < 4; i++) {
+      t.expect.soft(await store.put(i, makeBuffer(i))).toBeFalsy()
+    }
+    t.expect.soft(store.cacheBytes).toBeLessThanOrEqual(20)
+    t.expect.soft(store.chunks[0]).toBeFalsy()
+    t.expect.soft(store.chunks[3]).toBeTruthy()
+    for (let i = 0; i < 4; i++) {
+      t.expect.soft(await store.get(i)).toEqual(makeBuffer(i))
+    }
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('cache: false keeps no chunk copies and reads uncommitted chunks from memory', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'direct',
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 15 }
+      ],
+      cache: false,
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    t.expect.soft(await store.put(0, textToArr('0123456789'))).toBeFalsy()
+    t.expect.soft(store.pending.has(0)).toBe(true)
+    t.expect.soft(await store.get(0, { offset: 3, length: 4 })).toEqual(textToArr('3456'))
+
+    await store.cleanup()
+    t.expect.soft(store.pending.size).toBe(0)
+    t.expect.soft(store.chunks).toEqual([])
+    t.expect.soft(await store.get(0)).toEqual(textToArr('0123456789'))
+    await new Promise(resolve => store.destroy(resolve))
   })
-}))
+
+  test('maxOpenStreams: commits the least recently used file streams', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'max-open-streams',
+      files: [
+        { path: 'file1', length: 10 },
+        { path: 'file2', length: 10 },
+        { path: 'file3', length: 10 }
+      ],
+      rootDir: backend.getDirectory(),
+      maxOpenStreams: 2,
+      cache: false,
+      backend
+    })
+    const closed = []
+    store.addEventListener('streamclose', ({ detail }) => closed.push(detail.path))
+    const committed = new Promise(resolve => store.addEventListener('commit', ({ detail }) => resolve(detail.indices), { once: true }))
+    for (let index = 0; index < 3; ++index) t.expect.soft(await store.put(index, makeBuffer(index))).toBeFalsy()
+    t.expect.soft(store.files.filter(file => file.stream).length).toBe(2)
+    t.expect.soft(await committed).toEqual([0])
+    t.expect.soft(closed).toEqual(['file1'])
+    t.expect.soft(store.committed.get(2)).toBe(false)
+
+    // written again after being closed, reads go through the refreshed blob
+    t.expect.soft(await store.put(0, makeBuffer(3))).toBeFalsy()
+    t.expect.soft(closed).toEqual(['file1', 'file2'])
+    await store.flush()
+    t.expect.soft(await store.get(0)).toEqual(makeBuffer(3))
+    t.expect.soft(await store.get(1)).toEqual(makeBuffer(1))
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('bufferBytes: merges contiguous writes and serves buffered chunks from memory', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'buffer',
+      files: [{ path: 'file', length: 40 }],
+      rootDir: backend.getDirectory(),
+      bufferBytes: 25,
+      bufferInterval: 60000,
+      backend
+    })
+    const writes = []
+    const getStreamForHandle = store.getStreamForHandle
+    store.getStreamForHandle = async handle => {
+      const stream = await getStreamForHandle.call(store, handle)
+      const write = stream.write.bind(stream)
+      stream.write = params => {
+        writes.push([params.position, params.data.length])
+        return write(params)
+      }
+      return stream
+    }
+
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await store.put(1, makeBuffer(1))).toBeFalsy()
+    t.expect.soft(writes).toEqual([])
+    t.expect.soft(await store.get(1)).toEqual(makeBuffer(1))
+    t.expect.soft(await store.put(2, makeBuffer(2))).toBeFalsy()
+    await store.flush()
+    t.expect.soft(writes).toEqual([[0, 30]])
+    t.expect.soft(store.committed.get(2)).toBe(true)
+
+    // not contiguous with what's buffered, so that is written first
+    t.expect.soft(await store.put(0, makeBuffer(3))).toBeFalsy()
+    t.expect.soft(await store.put(3, makeBuffer(4))).toBeFalsy()
+    await Promise.all(store.writing)
+    t.expect.soft(writes).toEqual([[0, 30], [0, 10]])
+    await new Promise(resolve => store.close(resolve))
+    t.expect.soft(writes).toEqual([[0, 30], [0, 10], [30, 10]])
+
+    const reopened = await FSAChunkStore.open('buffer', { rootDir: backend.getDirectory(), backend })
+    t.expect.soft(await reopened.get(0)).toEqual(makeBuffer(3))
+    t.expect.soft(await reopened.get(3)).toEqual(makeBuffer(4))
+    await new Promise(resolve => reopened.destroy(resolve))
+  })
+
+  test('flush: commits the files and reports the committed chunks', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'flush',
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 15 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    t.expect.soft(await store.put(0, textToArr('0123456789'))).toBeFalsy()
+    t.expect.soft(await store.put(1, textToArr('abcdefghij'))).toBeFalsy()
+    t.expect.soft(store.committed.get(0)).toBe(false)
+    t.expect.soft((await store.flush()).sort()).toEqual([0, 1])
+    t.expect.soft(store.committed.get(0)).toBe(true)
+
+    const file = await (await store.files[1].handle).getFile()
+    t.expect.soft(new Uint8Array(await file.arrayBuffer())).toEqual(textToArr('56789abcdefghij'))
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('commitBytes: commits once enough data is uncommitted', async t => {
+    const store = new FSAChunkStore(10, {
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 25 }
+      ],
+      commitBytes: 20,
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    await store.put(0, makeBuffer(0))
+    t.expect.soft(store.committed.get(0)).toBe(false)
+    await store.put(1, makeBuffer(1))
+    t.expect.soft(store.committed.get(0)).toBe(true)
+    t.expect.soft(store.committed.get(1)).toBe(true)
+    t.expect.soft(store.pendingBytes).toBe(0)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test.skipIf(!globalThis.navigator?.locks)('locks: second instance of a name is read-only, orphaned caches are removed', async t => {
+    const root = await backend.getDirectory()
+    const chunksDir = await root.getDirectoryHandle('chunks', { create: true })
+    await chunksDir.getDirectoryHandle('orphan', { create: true })
+
+    const owner = new FSAChunkStore(10, { name: 'locked', length: 20, backend })
+    t.expect.soft(await owner.lockPromise).toBe(true)
+    let orphan = null
+    try {
+      await chunksDir.getDirectoryHandle('orphan')
+    } catch (e) {
+      orphan = e
+    }
+    t.expect.soft(orphan?.name).toBe('NotFoundError')
+
+    const other = new FSAChunkStore(10, { name: 'locked', length: 20, backend })
+    t.expect.soft(await other.lockPromise).toBe(false)
+    t.expect.soft(await other.put(0, makeBuffer(0)) instanceof Error).toBeTruthy()
+    t.expect.soft(await owner.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await other.get(0)).toEqual(makeBuffer(0))
+
+    await new Promise(resolve => other.close(resolve))
+    await new Promise(resolve => owner.destroy(resolve))
+  })
+
+  test('locks: without Web Locks, only chunk caches which weren\'t written for a day are removed', async t => {
+    if (globalThis.navigator?.locks) {
+      vi.spyOn(Object.getPrototypeOf(navigator), 'locks', 'get').mockReturnValue(undefined)
+    } else {
+      vi.stubGlobal('navigator', {})
+    }
+    try {
+      const root = await backend.getDirectory()
+      const chunksDir = await root.getDirectoryHandle('chunks', { create: true })
+      const leaked = await (await chunksDir.getDirectoryHandle('leaked', { create: true })).getFileHandle('0', { create: true })
+      const writable = await leaked.createWritable()
+      await writable.write(makeBuffer(0))
+      await writable.close()
+      const exists = name => chunksDir.getDirectoryHandle(name).then(() => true, () => false)
+
+      const recent = new FSAChunkStore(10, { name: 'unlocked', length: 20, backend })
+      t.expect.soft(await recent.lockPromise).toBe(true)
+      await recent.put(0, makeBuffer(0))
+      t.expect.soft(await exists('leaked')).toBe(true)
+      await new Promise(resolve => recent.close(resolve))
+
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(Date.now() + 2 * 24 * 60 * 60 * 1000)
+      const later = new FSAChunkStore(10, { name: 'unlocked', length: 20, backend })
+      t.expect.soft(await later.lockPromise).toBe(true)
+      t.expect.soft(await exists('leaked')).toBe(false)
+      await new Promise(resolve => later.destroy(resolve))
+    } finally {
+      vi.useRealTimers()
+      vi.restoreAllMocks()
+      vi.unstubAllGlobals()
+    }
+  })
+
+  test('list, usage, prune: report and remove stores and their caches', async t => {
+    const rootDir = (await backend.getDirectory()).getDirectoryHandle('inventory', { create: true })
+    const store = new FSAChunkStore(10, {
+      name: 'listed',
+      files: [{ path: 'file', length: 20 }],
+      rootDir,
+      backend
+    })
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+    await store.flush()
+
+    const entries = await FSAChunkStore.list({ rootDir, backend })
+    const listed = entries.filter(entry => entry.name === 'listed')
+    t.expect.soft(listed.map(entry => entry.kind).sort()).toEqual(['cache', 'store'])
+    t.expect.soft(listed.find(entry => entry.kind === 'store').bytes).toBeGreaterThanOrEqual(20)
+    t.expect.soft(listed.every(entry => entry.lastModified > 0)).toBe(true)
+
+    const usage = await FSAChunkStore.usage('listed', { rootDir, backend })
+    t.expect.soft(usage.bytes).toBeGreaterThanOrEqual(20)
+    t.expect.soft(usage.cacheBytes).toBe(10)
+    await t.expect.soft(FSAChunkStore.usage('missing', { rootDir, backend })).rejects.toThrow()
+
+    await new Promise(resolve => store.close(resolve))
+    const kept = await FSAChunkStore.prune({ olderThan: 0, keep: ['listed'], rootDir, backend })
+    t.expect.soft(kept.some(entry => entry.name === 'listed')).toBe(false)
+    const removed = await FSAChunkStore.prune({ olderThan: 0, rootDir, backend })
+    t.expect.soft(removed.filter(entry => entry.name === 'listed').map(entry => entry.kind).sort()).toEqual(['cache', 'store'])
+    t.expect.soft((await FSAChunkStore.list({ rootDir, backend })).some(entry => entry.name === 'listed')).toBe(false)
+  })
+
+  test('quota: warns when the store won\'t fit and fails puts once the quota is exceeded', async t => {
+    const estimate = { usage: 0, quota: 15 }
+    if (globalThis.navigator?.storage) {
+      vi.spyOn(navigator.storage, 'estimate').mockImplementation(async () => estimate)
+    } else {
+      vi.stubGlobal('navigator', { storage: { estimate: async () => estimate } })
+    }
+    try {
+      const store = new FSAChunkStore(10, {
+        name: 'quota',
+        files: [{ path: 'file', length: 20 }],
+        rootDir: backend.getDirectory(),
+        cache: false,
+        backend
+      })
+      const warned = new Promise(resolve => store.addEventListener('quota', resolve, { once: true }))
+      t.expect.soft(await store.quotaPromise).toBe(false)
+      t.expect.soft((await warned).detail).toEqual({ usage: 0, quota: 15, needed: 20 })
+
+      const getStreamForHandle = store.getStreamForHandle
+      store.getStreamForHandle = async () => { throw new DOMException('Quota exceeded', 'QuotaExceededError') }
+      const error = await store.put(0, makeBuffer(0))
+      t.expect.soft(error).toBeInstanceOf(QuotaError)
+      t.expect.soft(error.needed).toBe(20)
+      t.expect.soft(store.bitfield.get(0)).toBe(false)
+
+      // fails without writing until space is freed
+      store.getStreamForHandle = getStreamForHandle
+      estimate.usage = 10
+      t.expect.soft(await store.put(0, makeBuffer(0))).toBeInstanceOf(QuotaError)
+      estimate.usage = 0
+      t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+      t.expect.soft(await store.get(0)).toEqual(makeBuffer(0))
+      await new Promise(resolve => store.destroy(resolve))
+    } finally {
+      vi.restoreAllMocks()
+      vi.unstubAllGlobals()
+    }
+  })
+
+  test('errors: failures carry stable codes, DOMExceptions are mapped onto them', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'errors',
+      files: [{ path: 'file', length: 20 }],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    const lengthError = await store.put(0, makeBuffer(0).subarray(0, 5))
+    t.expect.soft(lengthError).toBeInstanceOf(FSAChunkStoreError)
+    t.expect.soft(lengthError.code).toBe('ERR_CHUNK_LENGTH')
+    t.expect.soft((await store.get(1)).code).toBe('ERR_NOT_FOUND')
+    t.expect.soft((await store.get(0, { offset: 5, length: 10 })).code).toBe('ERR_RANGE')
+    t.expect.soft(() => store.createReadStream('file', { start: 30, end: 10 })).toThrow(t.expect.objectContaining({ code: 'ERR_RANGE' }))
+    t.expect.soft(() => store.createReadStream('missing')).toThrow(t.expect.objectContaining({ code: 'ERR_NOT_FOUND' }))
+    await t.expect.soft(FSAChunkStore.open('missing', { rootDir: backend.getDirectory(), backend })).rejects.toMatchObject({ code: 'ERR_NOT_FOUND' })
+
+    const quota = toStoreError(new DOMException('Quota exceeded', 'QuotaExceededError'))
+    t.expect.soft(quota).toBeInstanceOf(QuotaError)
+    t.expect.soft(quota.code).toBe('ERR_QUOTA')
+    t.expect.soft(quota.cause.name).toBe('QuotaExceededError')
+
+    await new Promise(resolve => store.destroy(resolve))
+    t.expect.soft((await store.put(0, makeBuffer(0))).code).toBe('ERR_CLOSED')
+  })
+
+  test('events: reports puts, gets, evictions, streams, commits and cleanup', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'events',
+      files: [
+        { path: 'tmp/file1', length: 15 },
+        { path: 'tmp/file2', length: 5 }
+      ],
+      rootDir: backend.getDirectory(),
+      maxCacheBytes: 10,
+      backend
+    })
+    const events = []
+    for (const type of ['put', 'get', 'evict', 'streamopen', 'streamclose', 'commit', 'cleanupstart', 'cleanupend', 'error']) {
+      store.addEventListener(type, ({ detail }) => events.push({ type, detail }))
+    }
+    const of = type => events.filter(event => event.type === type).map(event => event.detail)
+
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await store.put(1, makeBuffer(1))).toBeFalsy()
+    t.expect.soft(of('put')[1]).toEqual({
+      index: 1,
+      length: 10,
+      files: [{ path: 'tmp/file1', offset: 10, length: 5 }, { path: 'tmp/file2', offset: 0, length: 5 }]
+    })
+    t.expect.soft(of('evict')).toEqual([{ index: 0, length: 10 }])
+    t.expect.soft(of('commit')[0]).toEqual({ indices: [0], bytes: 10 })
+    t.expect.soft(of('streamopen').map(detail => detail.path)).toContain('tmp/file2')
+    t.expect.soft(of('streamclose')[0].committed).toBe(true)
+
+    await store.get(1, { offset: 2, length: 3 })
+    t.expect.soft(of('get')[0]).toMatchObject({ index: 1, offset: 2, length: 3 })
+    await store.get(5)
+    t.expect.soft(of('error')[0]).toMatchObject({ operation: 'get', index: 5, error: { code: 'ERR_NOT_FOUND' } })
+
+    await new Promise(resolve => store.destroy(resolve))
+    const types = events.map(event => event.type)
+    t.expect.soft(types.indexOf('cleanupstart')).toBeGreaterThan(types.indexOf('put'))
+    t.expect.soft(types.at(-1)).toBe('cleanupend')
+  })
+
+  test('signal: aborted puts and gets stop without leaving partial data', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'abort',
+      files: [{ path: 'file', length: 20 }],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    const opened = []
+    store.addEventListener('streamopen', ({ detail }) => opened.push(detail.path))
+
+    t.expect.soft((await store.put(0, makeBuffer(0), { signal: AbortSignal.abort() })).code).toBe('ERR_ABORTED')
+
+    // abort once the chunk is being cached, before the file is touched
+    const controller = new AbortController()
+    const getChunkHandle = store._getChunkHandle
+    store._getChunkHandle = async index => {
+      const handle = await getChunkHandle.call(store, index)
+      controller.abort()
+      return handle
+    }
+    t.expect.soft((await store.put(0, makeBuffer(0), { signal: controller.signal })).code).toBe('ERR_ABORTED')
+    store._getChunkHandle = getChunkHandle
+    t.expect.soft(opened).toEqual([])
+    t.expect.soft(store.bitfield.get(0)).toBe(false)
+    t.expect.soft((await store.get(0)).code).toBe('ERR_NOT_FOUND')
+
+    // abort once the chunk is cached, its copy mustn't be served
+    const late = new AbortController()
+    let cached = await store._getChunkHandle(0)
+    Object.defineProperty(store.chunks, 0, {
+      configurable: true,
+      get: () => cached,
+      set: handle => {
+        // replaced by the swap file which was just written
+        if (handle && cached) late.abort()
+        cached = handle
+      }
+    })
+    t.expect.soft((await store.put(0, makeBuffer(0), { signal: late.signal })).code).toBe('ERR_ABORTED')
+    delete store.chunks[0]
+    t.expect.soft(cached).toBe(undefined)
+    t.expect.soft(store.cacheSizes.has(0)).toBe(false)
+    t.expect.soft((await store.get(0)).code).toBe('ERR_NOT_FOUND')
+    t.expect.soft(await (await store.chunksDirPromise).getFileHandle('0').then(() => true, () => false)).toBe(false)
+
+    t.expect.soft(await store.put(0, makeBuffer(0), { signal: new AbortController().signal })).toBeFalsy()
+    t.expect.soft(await store.get(0)).toEqual(makeBuffer(0))
+    t.expect.soft((await store.get(0, { signal: AbortSignal.abort() })).code).toBe('ERR_ABORTED')
+
+    const waiting = new AbortController()
+    const available = store.whenAvailable(1, { signal: waiting.signal })
+    waiting.abort()
+    await t.expect.soft(available).rejects.toMatchObject({ code: 'ERR_ABORTED' })
+    t.expect.soft(store.waiters.size).toBe(0)
+
+    const aborted = await new Promise(resolve => store.destroy({ signal: AbortSignal.abort() }, resolve))
+    t.expect.soft(aborted.code).toBe('ERR_ABORTED')
+    t.expect.soft(store.closing).toBe(false)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('permission: writes wait until the user grants access to a picked directory', async t => {
+    const rootDir = await backend.getDirectory()
+    const picked = await rootDir.getDirectoryHandle('picked', { create: true })
+    // what a handle from showDirectoryPicker, restored after a reload, looks like
+    let state = 'prompt'
+    picked.queryPermission = async () => state
+    picked.requestPermission = async () => {
+      state = 'granted'
+      return state
+    }
+    const store = new FSAChunkStore(10, { name: 'permission', files: [{ path: 'file', length: 20 }], rootDir: Promise.resolve(picked), backend })
+    const states = []
+    store.addEventListener('permission', ({ detail }) => states.push(detail.state))
+
+    let settled = false
+    const put = store.put(0, makeBuffer(0)).finally(() => { settled = true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    t.expect.soft(settled).toBe(false)
+    t.expect.soft(await store.ensurePermission()).toBe('granted')
+    t.expect.soft(await put).toBeFalsy()
+    t.expect.soft(await store.get(0)).toEqual(makeBuffer(0))
+    t.expect.soft(states).toEqual(['prompt', 'granted'])
+    await new Promise(resolve => store.close(resolve))
+
+    // after a reload, reading only needs read access
+    state = 'prompt'
+    picked.queryPermission = async ({ mode }) => mode === 'read' ? 'granted' : state
+    const reopened = await FSAChunkStore.open('permission', { rootDir: Promise.resolve(picked), backend })
+    t.expect.soft(await reopened.get(0)).toEqual(makeBuffer(0))
+    t.expect.soft((await reopened.put(1, makeBuffer(0).slice(1))).code).toBe('ERR_CHUNK_LENGTH')
+    t.expect.soft(await reopened.ensurePermission()).toBe('granted')
+    await new Promise(resolve => reopened.destroy(resolve))
+
+    state = 'denied'
+    const denied = new FSAChunkStore(10, { name: 'permission', length: 20, rootDir: Promise.resolve(picked), backend })
+    t.expect.soft((await denied.put(0, makeBuffer(0))).code).toBe('ERR_PERMISSION')
+    await new Promise(resolve => denied.close(resolve))
+    await rootDir.removeEntry('picked', { recursive: true })
+  })
+
+  test('filechange: files changed or removed outside of the store lose their chunks', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'external',
+      files: [{ path: 'file', length: 20 }, { path: 'other', length: 10 }],
+      rootDir: backend.getDirectory(),
+      backend,
+      cache: false
+    })
+    const changes = []
+    store.addEventListener('filechange', ({ detail }) => changes.push(detail))
+    for (let i = 0; i < 3; ++i) t.expect.soft(await store.put(i, makeBuffer(i))).toBeFalsy()
+    await store.flush()
+    t.expect.soft(await store.get(0)).toEqual(makeBuffer(0))
+
+    const storageDir = await store.storageDirPromise
+    const stream = await (await storageDir.getFileHandle('file')).createWritable()
+    await stream.write('short')
+    await stream.close()
+    t.expect.soft((await store.get(1)).code).toBe('ERR_NOT_FOUND')
+    t.expect.soft(changes).toEqual([{ path: 'file', reason: 'modified', indices: [0, 1] }])
+    t.expect.soft([store.bitfield.get(0), store.bitfield.get(1), store.bitfield.get(2)]).toEqual([false, false, true])
+
+    t.expect.soft(await store.put(1, makeBuffer(1))).toBeFalsy()
+    await store.flush()
+    t.expect.soft(await store.get(1)).toEqual(makeBuffer(1))
+
+    await storageDir.removeEntry('other')
+    t.expect.soft((await store.get(2)).code).toBe('ERR_NOT_FOUND')
+    t.expect.soft(changes[1]).toEqual({ path: 'other', reason: 'removed', indices: [2] })
+    t.expect.soft(await store.put(2, makeBuffer(2))).toBeFalsy()
+    await store.flush()
+    t.expect.soft(await store.get(2)).toEqual(makeBuffer(2))
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('skip: skipped files aren\'t created, their chunks stay in the cache until they are un-skipped', async t => {
+    let store = new FSAChunkStore(10, {
+      name: 'skip',
+      files: [{ path: 'a', length: 15 }, { path: 'b', length: 10, skip: true }, { path: 'c', length: 5 }],
+      rootDir: backend.getDirectory(),
+      backend,
+      cache: false
+    })
+    const committed = []
+    store.addEventListener('commit', ({ detail }) => committed.push(...detail.indices))
+    for (let i = 0; i < 3; ++i) t.expect.soft(await store.put(i, makeBuffer(i))).toBeFalsy()
+    const names = async () => {
+      const names = []
+      for await (const name of (await store.storageDirPromise).keys()) names.push(name)
+      // without the manifest and the swap files of open streams
+      return names.filter(name => !name.includes('.')).sort()
+    }
+    t.expect.soft(await names()).toEqual(['a', 'c'])
+    // chunks 1 and 2 are partly in b, so they aren't durable
+    t.expect.soft(await store.flush()).toEqual([0])
+    t.expect.soft(committed).toEqual([0])
+    await store.cleanup()
+    t.expect.soft(await store.get(1)).toEqual(makeBuffer(1))
+    t.expect.soft(await store.get(2)).toEqual(makeBuffer(2))
+
+    // the cache doesn't outlast the session
+    await new Promise(resolve => store.close(resolve))
+    store = await FSAChunkStore.open('skip', { rootDir: backend.getDirectory(), backend, cache: false })
+    t.expect.soft(store.files[1].skip).toBe(true)
+    t.expect.soft([0, 1, 2].map(index => store.bitfield.get(index))).toEqual([true, false, false])
+    for (let i = 1; i < 3; ++i) t.expect.soft(await store.put(i, makeBuffer(i))).toBeFalsy()
+
+    // a chunk which can't be written to the un-skipped file is missing again
+    const put = store._put
+    store._put = async (index, ...args) => {
+      if (index === 2) throw new DOMException('The file is busy', 'NoModificationAllowedError')
+      return put.call(store, index, ...args)
+    }
+    const errors = []
+    store.addEventListener('error', ({ detail }) => errors.push(detail.index))
+    t.expect.soft(await store.setSkipped('b', false)).toEqual([2])
+    store._put = put
+    const manifest = await (await (await store.storageDirPromise).getFileHandle('.fsa-chunk-store.json')).getFile()
+    t.expect.soft(JSON.parse(await manifest.text()).files.map(file => !!file.skip)).toEqual([false, false, false])
+    t.expect.soft(await store.setSkipped('b', false)).toEqual([])
+    t.expect.soft(errors).toEqual([2])
+    t.expect.soft(store.bitfield.get(2)).toBe(false)
+    t.expect.soft(await names()).toEqual(['a', 'b', 'c'])
+    t.expect.soft(await store.put(2, makeBuffer(2))).toBeFalsy()
+    t.expect.soft((await store.flush()).sort()).toEqual([1, 2])
+    const b = await (await (await store.storageDirPromise).getFileHandle('b')).getFile()
+    t.expect.soft(new Uint8Array(await b.arrayBuffer())).toEqual(new Uint8Array([1, 1, 1, 1, 1, 2, 2, 2, 2, 2]))
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('skip: closing without a flush doesn\'t commit chunks which cover skipped files', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'skip-close',
+      files: [{ path: 'a', length: 15 }, { path: 'b', length: 5, skip: true }],
+      rootDir: backend.getDirectory(),
+      backend,
+      cache: false
+    })
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await store.put(1, makeBuffer(1))).toBeFalsy()
+    await new Promise(resolve => store.close(resolve))
+
+    const reopened = await FSAChunkStore.open('skip-close', { rootDir: backend.getDirectory(), backend })
+    t.expect.soft([0, 1].map(index => reopened.bitfield.get(index))).toEqual([true, false])
+    t.expect.soft(await reopened.get(0)).toEqual(makeBuffer(0))
+    await new Promise(resolve => reopened.destroy(resolve))
+  })
+
+  // the worker backend writes in place, see below
+  test.skipIf(backend instanceof WorkerBackend)('writables: the file is only replaced on close, aborting leaves it untouched', async t => {
+    const rootDir = await backend.getDirectory()
+    const handle = await (await rootDir.getDirectoryHandle('writables', { create: true })).getFileHandle('file', { create: true })
+    // more than one block of the IndexedDB backend
+    let stream = await handle.createWritable()
+    await stream.write(new Uint8Array(100000).fill(1))
+    await stream.close()
+
+    stream = await handle.createWritable({ keepExistingData: false })
+    await stream.write(textToArr('new'))
+    t.expect.soft((await handle.getFile()).size).toBe(100000)
+    await stream.abort()
+    t.expect.soft((await handle.getFile()).size).toBe(100000)
+
+    stream = await handle.createWritable({ keepExistingData: true })
+    await stream.truncate(70000)
+    await stream.write({ type: 'write', position: 80000, data: textToArr('end') })
+    await stream.close()
+    const data = new Uint8Array(await (await handle.getFile()).arrayBuffer())
+    t.expect.soft(data.length).toBe(80003)
+    t.expect.soft(data.subarray(0, 70000).every(byte => byte === 1)).toBe(true)
+    t.expect.soft(data.subarray(70000, 80000).every(byte => byte === 0)).toBe(true)
+    t.expect.soft(data.subarray(80000)).toEqual(textToArr('end'))
+    await rootDir.removeEntry('writables', { recursive: true })
+  })
+
+  test.runIf(backend instanceof WorkerBackend)('writables: the worker backend writes in place, without copying the file', async t => {
+    const rootDir = await backend.getDirectory()
+    const dir = await rootDir.getDirectoryHandle('in-place', { create: true })
+    const handle = await dir.getFileHandle('file', { create: true })
+    let stream = await handle.createWritable()
+    await stream.write(textToArr('0123456789'))
+    await stream.close()
+
+    stream = await handle.createWritable({ keepExistingData: true })
+    await stream.write({ type: 'write', position: 2, data: textToArr('ab') })
+    t.expect.soft(await (await handle.getFile()).text()).toBe('01ab456789')
+    await stream.close()
+    const names = []
+    for await (const name of dir.keys()) names.push(name)
+    t.expect.soft(names).toEqual(['file'])
+    await rootDir.removeEntry('in-place', { recursive: true })
+  })
+
+  test('atomic writes: chunks are swapped in whole, interrupted file writes are journaled', async t => {
+    const rootDir = await backend.getDirectory()
+    const dir = await rootDir.getDirectoryHandle('atomic', { create: true })
+    // left behind by a write which was interrupted
+    await dir.getFileHandle('1', { create: true })
+    await dir.getFileHandle('1.0badc0de.fsa-chunk-store-swap', { create: true })
+    await dir.getFileHandle('2.0badc0de.fsa-chunk-store-swap', { create: true })
+    // and by one which was complete, where the file it replaces can't be moved onto
+    await dir.getFileHandle('0', { create: true })
+    const swap = await (await dir.getFileHandle('0.0badc0de.ready.fsa-chunk-store-swap', { create: true })).createWritable()
+    await swap.write(makeBuffer(0))
+    await swap.close()
+    const chunks = new FSAChunkStore(10, { name: 'atomic', length: 20, rootDir: backend.getDirectory(), backend })
+    await chunks.storageDirPromise
+    const recovered = await (await dir.getFileHandle('0')).getFile()
+    t.expect.soft(new Uint8Array(await recovered.arrayBuffer())).toEqual(makeBuffer(0))
+    t.expect.soft(await dir.getFileHandle('2').then(() => true, () => false)).toBe(false)
+    t.expect.soft(await chunks.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await chunks.put(0, makeBuffer(1))).toBeFalsy()
+    t.expect.soft(await chunks.get(0)).toEqual(makeBuffer(1))
+    const names = []
+    for await (const name of (await chunks.storageDirPromise).keys()) names.push(name)
+    t.expect.soft(names.filter(name => name.endsWith('.fsa-chunk-store-swap'))).toEqual([])
+    await new Promise(resolve => chunks.destroy(resolve))
+
+    const store = new FSAChunkStore(10, {
+      name: 'journal',
+      files: [{ path: 'file', length: 20 }],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    t.expect.soft(await store.put(0, makeBuffer(0))).toBeFalsy()
+    t.expect.soft(await store.flush()).toEqual([0])
+    // overwritten but not committed, as if the tab crashed now
+    t.expect.soft(await store.put(0, makeBuffer(1))).toBeFalsy()
+    await store.manifestPromise
+
+    const reopened = await FSAChunkStore.open('journal', { rootDir: backend.getDirectory(), backend })
+    t.expect.soft(reopened.interrupted).toEqual([0])
+    t.expect.soft(reopened.bitfield.get(0)).toBe(false)
+    await new Promise(resolve => reopened.close(resolve))
+
+    t.expect.soft(await store.flush()).toEqual([0])
+    t.expect.soft(store.journal.get(0)).toBe(false)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('open: restores layout and written chunks by name', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'reopen',
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 8 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    t.expect.soft(await store.put(1, textToArr('abc'))).toBeFalsy()
+    await new Promise(resolve => store.close(resolve))
+
+    const reopened = await FSAChunkStore.open('reopen', { rootDir: backend.getDirectory(), backend })
+    t.expect.soft(reopened.length).toBe(13)
+    t.expect.soft(reopened.files.map(file => file.path)).toEqual(['tmp/file1', 'tmp/file2'])
+    t.expect.soft(reopened.bitfield.get(0)).toBe(false)
+    t.expect.soft(reopened.bitfield.get(1)).toBe(true)
+    t.expect.soft(await reopened.get(1)).toEqual(textToArr('abc'))
+    await new Promise(resolve => reopened.destroy(resolve))
+
+    // left empty, as by a crash while it was written
+    const rootDir = await backend.getDirectory()
+    await (await rootDir.getDirectoryHandle('unreadable', { create: true })).getFileHandle('.fsa-chunk-store.json', { create: true })
+    await t.expect.soft(FSAChunkStore.open('unreadable', { rootDir: backend.getDirectory(), backend })).rejects.toMatchObject({ code: 'ERR_INVALID_STATE' })
+    await rootDir.removeEntry('unreadable', { recursive: true })
+  })
+
+  test('hashes: rejects mismatching puts and reports corrupt and missing chunks', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'hashes',
+      length: 30,
+      backend,
+      hashes: [await sha1('0123456789'), await sha1('abcdefghij'), await sha1('klmnopqrst')]
+    })
+    t.expect.soft(await store.put(0, textToArr('0123456789'))).toBeFalsy()
+    t.expect.soft(await store.put(1, textToArr('xxxxxxxxxx')) instanceof Error).toBeTruthy()
+    t.expect.soft(await store.put(2, textToArr('klmnopqrst'))).toBeFalsy()
+
+    // simulate the file being edited outside of the store
+    const storageDir = await (await backend.getDirectory()).getDirectoryHandle('hashes')
+    const stream = await (await storageDir.getFileHandle('2')).createWritable({ keepExistingData: false })
+    await stream.write(textToArr('0000000000'))
+    await stream.close()
+
+    const progress = []
+    const result = await store.verifyAll({ onProgress: (verified, total) => progress.push([verified, total]) })
+    t.expect.soft(result).toEqual({ corrupt: [2], missing: [1] })
+    t.expect.soft(progress).toEqual([[1, 3], [2, 3], [3, 3]])
+    t.expect.soft(store.bitfield.get(2)).toBe(false)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('hashes: whole chunks read back from the files are checked', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'hashed-files',
+      files: [{ path: 'file', length: 20 }],
+      rootDir: backend.getDirectory(),
+      backend,
+      cache: false,
+      hashes: [await sha1('0123456789'), await sha1('abcdefghij')]
+    })
+    t.expect.soft(await store.put(0, textToArr('0123456789'))).toBeFalsy()
+    t.expect.soft(await store.put(1, textToArr('abcdefghij'))).toBeFalsy()
+    t.expect.soft(await store.flush()).toEqual([0, 1])
+
+    // edited without its size or lastModified giving it away, like on file systems with coarse timestamps
+    const handle = await (await store.storageDirPromise).getFileHandle('file')
+    const stream = await handle.createWritable({ keepExistingData: true })
+    await stream.write({ type: 'write', position: 10, data: textToArr('xxxxxxxxxx') })
+    await stream.close()
+    store._refreshBlob(store.files[0])
+
+    t.expect.soft(new TextDecoder().decode(await store.get(0))).toBe('0123456789')
+    t.expect.soft((await store.get(1)).code).toBe('ERR_HASH_MISMATCH')
+    t.expect.soft(store.bitfield.get(1)).toBe(false)
+    t.expect.soft(store.committed.get(1)).toBe(false)
+    // ranges can't be checked
+    t.expect.soft(new TextDecoder().decode(await store.get(1, { offset: 2, length: 3 }))).toBe('xxx')
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('hashes: whole chunks read back without files are checked', async t => {
+    const store = new FSAChunkStore(10, {
+      name: 'hashed-chunks',
+      length: 20,
+      backend,
+      hashes: [await sha1('0123456789'), await sha1('abcdefghij')]
+    })
+    t.expect.soft(await store.put(0, textToArr('0123456789'))).toBeFalsy()
+    t.expect.soft(await store.put(1, textToArr('abcdefghij'))).toBeFalsy()
+
+    const stream = await (await (await store.storageDirPromise).getFileHandle('1')).createWritable({ keepExistingData: false })
+    await stream.write(textToArr('xxxxxxxxxx'))
+    await stream.close()
+
+    t.expect.soft(new TextDecoder().decode(await store.get(0))).toBe('0123456789')
+    t.expect.soft((await store.get(1)).code).toBe('ERR_HASH_MISMATCH')
+    t.expect.soft(store.bitfield.get(1)).toBe(false)
+    t.expect.soft(store.committed.get(1)).toBe(false)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('recheck: finds chunks already present in an existing folder', async t => {
+    const files = () => [
+      { path: 'tmp/file1', length: 5 },
+      { path: 'tmp/file2', length: 8 }
+    ]
+    const previous = new FSAChunkStore(10, { name: 'recheck', files: files(), rootDir: backend.getDirectory(), backend })
+    t.expect.soft(await previous.put(1, textToArr('abc'))).toBeFalsy()
+    await new Promise(resolve => previous.close(resolve))
+
+    const store = new FSAChunkStore(10, {
+      name: 'recheck',
+      files: files(),
+      rootDir: backend.getDirectory(),
+      backend,
+      hashes: [await sha1('0123456789'), await sha1('abc')]
+    })
+    t.expect.soft(await store.recheck()).toEqual([1])
+    t.expect.soft(store.bitfield.get(1)).toBe(true)
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('createReadStream: reads byte ranges across chunk boundaries', async t => {
+    const store = new FSAChunkStore(4, {
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 8 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    await store.put(0, textToArr('0123'))
+    await store.put(1, textToArr('4abc'))
+    t.expect.soft(await readText(store.createReadStream(0))).toBe('01234')
+
+    // chunk 2 arrives while the stream is waiting for it
+    setTimeout(() => store.put(2, textToArr('defg')), 10)
+    t.expect.soft(await readText(store.createReadStream('tmp/file2', { start: 1, end: 5, wait: true }))).toBe('bcdef')
+    await new Promise(resolve => store.destroy(resolve))
+  })
+
+  test('sw: answers range requests with the available bytes', async t => {
+    const store = new FSAChunkStore(4, {
+      files: [
+        { path: 'tmp/file1', length: 5 },
+        { path: 'tmp/file2', length: 8 }
+      ],
+      rootDir: backend.getDirectory(),
+      backend
+    })
+    await store.put(0, textToArr('0123'))
+    await store.put(1, textToArr('4abc'))
+    const stop = serve(store, { wait: false })
+
+    const request = (path, range, method) => new Promise(resolve => {
+      const { port1, port2 } = new MessageChannel()
+      const textDecoder = new TextDecoder()
+      let head = null
+      let body = ''
+      port1.onmessage = ({ data }) => {
+        if (!head) {
+          head = data
+          if (head.status >= 400) return resolve({ head, body })
+        } else if (data === null) {
+          return resolve({ head, body })
+        } else {
+          body += textDecoder.decode(data)
+        }
+        port1.postMessage('pull')
+      }
+      handleRequest({ name: store.name, path, range, method }, port2)
+    })
+
+    const full = await request('tmp/file1', null)
+    t.expect.soft(full.head.status).toBe(200)
+    t.expect.soft(full.body).toBe('01234')
+
+    const truncated = await request('tmp/file2', 'bytes=1-5')
+    t.expect.soft(truncated.head.status).toBe(206)
+    t.expect.soft(truncated.head.headers['Content-Range']).toBe('bytes 1-2/8')
+    t.expect.soft(truncated.body).toBe('bc')
+
+    t.expect.soft((await request('tmp/file2', 'bytes=4-')).head.status).toBe(416)
+    t.expect.soft((await request('missing', null)).head.status).toBe(404)
+
+    // only the head, no data is read for it
+    const head = await new Promise(resolve => {
+      const { port1, port2 } = new MessageChannel()
+      port1.onmessage = ({ data }) => resolve(data)
+      handleRequest({ name: store.name, path: 'tmp/file1', range: null, method: 'HEAD' }, port2)
+    })
+    t.expect.soft(head.status).toBe(200)
+    t.expect.soft(head.headers['Content-Length']).toBe('5')
+
+    stop()
+    await new Promise(resolve => store.destroy(resolve))
+  })
+}
@@ -0,0 +1,12 @@
+import { defineWorkspace } from 'vitest/config'
+
+export default defineWorkspace([
+  './vitest.config.js',
+  {
+    test: {
+      name: 'node',
+      include: ['test.js'],
+      environment: 'node'
+    }
+  }
+])